@@ -22,11 +22,51 @@ const SWAP_STRATEGIES = {
     before: swapBefore,
     after: swapAfter,
     replace: swapReplace,
+    morph: swapMorph,
+    outerMorph: swapOuterMorph,
     delete: swapDelete,
     none: swapNone
 };
 
-function updateDOM(targetSelector, html, swapConfig, sourceElement) {
+// Strategies that write inside the target rather than replacing it or
+// inserting next to it
+const INNER_STRATEGIES = ['innerHTML', 'morph', 'append', 'prepend', 'beforeend', 'afterbegin'];
+const ANIMATIONS = ['flip'];
+
+const KEY_ATTR = 'hz-key';
+const PRESERVE_ATTR = 'hz-preserve';
+const SANITIZE_ATTR = 'hz-sanitize';
+const SANITIZE_MODES = ['strict', 'basic', 'off'];
+const SCRIPT_MODES = ['none', 'nonce', 'all'];
+// Basic sanitizing that keeps the scripts htmz.config.scripts will run
+const BASIC_SCRIPT_POLICY = {
+    ...BASIC_SANITIZE_POLICY,
+    keepScript: attributes => isRunnableScript(readAttributeValue(attributes, 'nonce'))
+};
+const TRANSITION_NAME_REGEX = /^[a-zA-Z_][\w-]*$/;
+const STYLE_ELEMENT_REGEX = /<style\b[^>]*>[\s\S]*?<\/style\s*>/gi;
+// "my-widget >>> #panel" continues the selector inside my-widget's shadow root
+const SHADOW_PIERCE = '>>>';
+// Constructable stylesheets of <template> <style>s, shared by shadow roots
+const TEMPLATE_STYLESHEETS = new Map();
+// Kept at their old values on swapped-in elements until the swap settles,
+// so CSS transitions run from the old state to the new one
+const SETTLE_ATTRIBUTES = ['class', 'style', 'width', 'height'];
+// Class and style attributes htmz created for temporary state, per element
+const CREATED_ATTRIBUTES = new WeakMap();
+
+// The element that had focus when the current morph started; moving it
+// blurs it, so document.activeElement can't be trusted mid-morph
+let morphFocus = null;
+// undefined until first use, null where Trusted Types are unavailable
+let trustedTypesPolicy;
+// The value htmz is passing through the policy itself right now
+let vettedValue = null;
+
+// Swap phases: swapping class, swap delay, DOM update (onSwapped is called
+// here), settling class with carried-over attributes, settle delay, and
+// finally hz:afterSettle on the source element
+function updateDOM(targetSelector, html, swapConfig, sourceElement, onSwapped) {
     const targets = findTargets(targetSelector, sourceElement);
 
     if (targets.length === 0) {
@@ -42,134 +82,563 @@ function updateDOM(targetSelector, html, swapConfig, sourceElement) {
         return null;
     }
 
-    let lastTarget = null;
+    // Taken before the swap, which can take outerHTML targets off the page
+    const roots = getTargetRoots(targets);
 
-    targets.forEach(target => {
-        const options = swapConfig.options || {};
+    // Rendered templates are the page's own markup, with every value
+    // escaped for its context; responses and other strings are not
+    if (swapConfig.template) {
+        if (adoptTemplateStyles(swapConfig.template, targets)) {
+            html = html.replace(STYLE_ELEMENT_REGEX, '');
+        }
+    } else {
+        // Out-of-band swaps follow the hz-sanitize of the element that made
+        // the request, not that of the element they land in
+        html = sanitizeSwapHtml(html, swapConfig.sanitizeSource || sourceElement, roots);
+    }
 
-        if (options.transition) {
-            performTransition(target, () => swapFn(target, html, options));
-        } else {
+    const options = swapConfig.options || {};
+    const config = typeof htmz !== 'undefined' ? htmz.config : {};
+    const swapDelay = options.swap !== undefined ? parseDelay(options.swap) : (config.defaultSwapDelay || 0);
+    const settleDelay = options.settle !== undefined ? parseDelay(options.settle) : (config.defaultSettleDelay || 0);
+    const lastTarget = targets[targets.length - 1];
+
+    const swapAll = () => {
+        targets.forEach(removeSwappingClass);
+
+        const preserved = detachPreserved(html, targets, roots);
+        const settling = captureSettleAttributes(html, targets, roots);
+        const scripts = getScriptsMode() === 'none' ? null : snapshotScripts(targets, strategy);
+        const flip = options.animate ? captureFlip(targets, strategy, options.animate) : null;
+
+        targets.forEach(target => {
             swapFn(target, html, options);
+
+            if (options.focus) {
+                focusElement(target, options.focus);
+            }
+
+            if (options.scroll) {
+                scrollToElement(target, options.scroll);
+            }
+        });
+
+        restorePreserved(preserved, roots);
+
+        if (flip) {
+            playFlip(flip);
         }
 
-        if (options.focus) {
-            focusElement(target, options.focus);
+        if (scripts) {
+            runSwappedScripts(scripts, sourceElement);
         }
 
-        if (options.scroll) {
-            scrollToElement(target, options.scroll);
+        settleSwap(targets, settling, settleDelay, sourceElement, roots);
+
+        if (onSwapped) {
+            onSwapped(lastTarget);
         }
+    };
 
-        lastTarget = target;
-    });
+    // One transition covers every target, since a new view transition
+    // would skip the one before it
+    const runSwap = () => {
+        if (options.transition) {
+            performTransition(targets, swapAll, options.transition);
+        } else {
+            swapAll();
+        }
+    };
+
+    targets.forEach(addSwappingClass);
+
+    if (swapDelay > 0) {
+        setTimeout(runSwap, swapDelay);
+    } else {
+        runSwap();
+    }
 
     return lastTarget;
 }
 
+// The document or shadow roots the targets are in, where ids are looked up
+function getTargetRoots(targets) {
+    const roots = [];
+
+    for (const target of targets) {
+        const root = target.getRootNode();
+        const scope = typeof root.getElementById === 'function' ? root : document;
+        if (!roots.includes(scope)) {
+            roots.push(scope);
+        }
+    }
+
+    return roots;
+}
+
+function findById(roots, id) {
+    for (const root of roots) {
+        const element = root.getElementById(id);
+        if (element) return element;
+    }
+
+    return null;
+}
+
+// Old settle attributes of the elements whose id comes back in the new content
+function captureSettleAttributes(html, targets, roots) {
+    const settling = new Map();
+
+    if (!html || !html.includes('id=')) {
+        return settling;
+    }
+
+    for (const element of parseFragment(html).querySelectorAll('[id]')) {
+        const old = findById(roots, element.id);
+
+        if (old && targets.some(target => target.contains(old))) {
+            settling.set(element.id, { element: old, attributes: readSettleAttributes(old) });
+        }
+    }
+
+    return settling;
+}
+
+function readSettleAttributes(element) {
+    return SETTLE_ATTRIBUTES.map(name => [name, element.getAttribute(name)]);
+}
+
+function writeSettleAttributes(element, attributes) {
+    for (const [name, value] of attributes) {
+        if (value === null) {
+            element.removeAttribute(name);
+        } else if (element.getAttribute(name) !== value) {
+            element.setAttribute(name, value);
+        }
+    }
+}
+
+function settleSwap(targets, settling, delay, sourceElement, roots) {
+    const elements = targets.filter(target => target.isConnected);
+    const settled = [];
+
+    // Swapped-in elements start from the old attributes and get their own
+    // back once settled; morphed elements are the same nodes and are skipped
+    for (const [id, { element: old, attributes }] of settling) {
+        const element = findById(roots, id);
+
+        if (element && element !== old) {
+            settled.push({ element, attributes: readSettleAttributes(element) });
+            writeSettleAttributes(element, attributes);
+            elements.push(element);
+        }
+    }
+
+    elements.forEach(addSettlingClass);
+
+    setTimeout(() => {
+        settled.forEach(({ element, attributes }) => writeSettleAttributes(element, attributes));
+        elements.forEach(removeSettlingClass);
+
+        const eventTarget = sourceElement && sourceElement.isConnected ? sourceElement : document.body;
+        triggerCustomEvent(eventTarget, 'hz:afterSettle', { targets: elements });
+    }, delay);
+}
+
+// hz-select="#main" swaps only the matching part of an HTML response;
+// hz-select-oob="#nav:outerHTML,#count" swaps more parts into the elements
+// with the same id on the page (innerHTML unless a strategy is given)
+function swapSelectedHTML(html, config, sourceElement, onSwapped) {
+    // Parsing is inert; the fragments are sanitized when they are swapped
+    const doc = new DOMParser().parseFromString(toTrustedHTML(html), 'text/html');
+
+    if (config.selectOob) {
+        swapSelectedFragments(doc, config.selectOob, sourceElement);
+    }
+
+    let selected = [];
+    try {
+        selected = config.select ? Array.from(doc.querySelectorAll(config.select)) : [];
+    } catch (e) {
+        console.warn(`htmz: Invalid hz-select selector '${config.select}'`);
+    }
+
+    if (selected.length === 0) {
+        if (config.select) {
+            console.warn(`htmz: hz-select '${config.select}' matched nothing in the response`);
+        }
+        if (onSwapped) onSwapped(null);
+        return null;
+    }
+
+    const fragment = selected.map(element => element.outerHTML).join('');
+    return updateDOM(config.target || 'this', fragment, config.swap, sourceElement, onSwapped);
+}
+
+function swapSelectedFragments(doc, selectOob, sourceElement) {
+    for (const entry of selectOob.split(',')) {
+        const spec = entry.trim();
+        if (!spec) continue;
+
+        // "#nav:outerHTML" - a trailing known strategy, as selectors use ':' too
+        const colon = spec.lastIndexOf(':');
+        const suffix = colon === -1 ? '' : spec.substring(colon + 1);
+        const hasStrategy = Object.prototype.hasOwnProperty.call(SWAP_STRATEGIES, suffix);
+        const selector = hasStrategy ? spec.substring(0, colon) : spec;
+        const strategy = hasStrategy ? suffix : 'innerHTML';
+
+        let fragment;
+        try {
+            fragment = doc.querySelector(selector);
+        } catch (e) {
+            console.warn(`htmz: Invalid hz-select-oob selector '${selector}'`);
+            continue;
+        }
+
+        if (!fragment) {
+            console.warn(`htmz: hz-select-oob '${selector}' matched nothing in the response`);
+            continue;
+        }
+
+        const target = fragment.id ? document.getElementById(fragment.id) : null;
+        if (!target) {
+            console.warn(`htmz: No element on the page for hz-select-oob '${selector}'`);
+            continue;
+        }
+
+        // Whole-element strategies take the fragment, the others its content.
+        // It's then dropped so a broad hz-select doesn't swap it in again
+        const whole = strategy === 'outerHTML' || strategy === 'outerMorph' || strategy === 'replace';
+        updateDOM('this', whole ? fragment.outerHTML : fragment.innerHTML, { strategy, sanitizeSource: sourceElement }, target);
+        fragment.remove();
+    }
+}
+
+// Elements marked hz-preserve whose id also appears, marked, in the new
+// content are parked outside the swap and then moved into that placeholder,
+// so players, maps, iframes and open <details> keep their state
+function detachPreserved(html, targets, roots) {
+    if (!html || !html.includes(PRESERVE_ATTR)) {
+        return null;
+    }
+
+    const placeholders = parseFragment(html).querySelectorAll(`[${PRESERVE_ATTR}][id]`);
+    const preserved = [];
+    let holder = null;
+
+    for (const placeholder of placeholders) {
+        const element = findById(roots, placeholder.id);
+
+        // A preserved element that holds a target can't leave the page
+        if (!element || !element.hasAttribute(PRESERVE_ATTR) || targets.some(target => element.contains(target))) {
+            continue;
+        }
+
+        if (!holder) {
+            holder = document.createElement('div');
+            holder.hidden = true;
+            document.body.appendChild(holder);
+        }
+
+        // Its id is cleared while parked so the placeholder is the only match
+        moveNode(holder, element, null);
+        element.removeAttribute('id');
+        preserved.push({ element, id: placeholder.id });
+    }
+
+    return holder ? { holder, preserved } : null;
+}
+
+function restorePreserved(state, roots) {
+    if (!state) return;
+
+    for (const { element, id } of state.preserved) {
+        const placeholder = findById(roots, id);
+        element.id = id;
+
+        if (placeholder) {
+            moveNode(placeholder.parentNode, element, placeholder);
+            placeholder.remove();
+        }
+    }
+
+    // Elements the new content had no place for are dropped
+    state.holder.remove();
+}
+
+function moveNode(parent, node, before) {
+    // moveBefore keeps iframes loaded and media playing where supported
+    if (typeof parent.moveBefore === 'function') {
+        try {
+            parent.moveBefore(node, before);
+            return;
+        } catch (e) {
+            // Falls back to a plain insert, e.g. across documents
+        }
+    }
+
+    parent.insertBefore(node, before);
+}
+
+// Resolves hz-target, hz-indicator, hz-include and hz-disabled-elt values.
+// A comma-separated list can mix relative references with CSS selectors:
+//   this, parent, document, body, closest [sel], find sel, next [sel],
+//   previous [sel], or any selector, which is matched in the source
+//   element's shadow root, then in the document.
+// Each ">>> sel" after one of these is matched in the shadow roots of the
+// elements found so far.
 function findTargets(selector, sourceElement) {
     if (!selector || selector === 'this') {
-        return [sourceElement];
+        return sourceElement ? [sourceElement] : [];
     }
 
-    if (selector === 'closest') {
-        const closest = sourceElement.closest('[hz-target]');
-        return closest ? [closest] : [];
+    const targets = [];
+
+    for (const part of splitSelectorList(selector)) {
+        for (const target of findPiercingTargets(part, sourceElement)) {
+            if (!targets.includes(target)) {
+                targets.push(target);
+            }
+        }
     }
 
-    if (selector === 'next') {
-        const next = sourceElement.nextElementSibling;
-        return next ? [next] : [];
+    return targets;
+}
+
+function findPiercingTargets(selector, sourceElement) {
+    const [first, ...inner] = selector.split(SHADOW_PIERCE).map(part => part.trim());
+    let found = findRelativeTargets(first, sourceElement);
+
+    // Closed shadow roots have no shadowRoot and can't be reached
+    for (const part of inner) {
+        found = found.flatMap(host => host.shadowRoot ? queryRoot(host.shadowRoot, part) : []);
     }
 
-    if (selector === 'previous') {
-        const prev = sourceElement.previousElementSibling;
-        return prev ? [prev] : [];
+    return found;
+}
+
+function queryRoot(root, selector) {
+    try {
+        return Array.from(root.querySelectorAll(selector));
+    } catch (e) {
+        console.warn(`htmz: Invalid target selector '${selector}':`, e);
+        return [];
     }
+}
+
+function getShadowRoot(element) {
+    const root = element && element.isConnected ? element.getRootNode() : null;
+    return root && root.nodeType === Node.DOCUMENT_FRAGMENT_NODE && root.host ? root : null;
+}
+
+function findRelativeTargets(selector, sourceElement) {
+    const space = selector.indexOf(' ');
+    const keyword = space === -1 ? selector : selector.substring(0, space);
+    const rest = space === -1 ? '' : selector.substring(space + 1).trim();
 
     try {
-        return Array.from(document.querySelectorAll(selector));
+        switch (keyword) {
+            case 'this':
+                if (rest) break;
+                return sourceElement ? [sourceElement] : [];
+
+            case 'parent':
+                if (rest) break;
+                return sourceElement && sourceElement.parentElement ? [sourceElement.parentElement] : [];
+
+            case 'document':
+                if (rest) break;
+                return [document.documentElement];
+
+            case 'body':
+                if (rest) break;
+                return [document.body];
+
+            case 'closest': {
+                // A bare "closest" is the nearest element with its own hz-target
+                const closest = sourceElement && sourceElement.closest(rest || '[hz-target]');
+                return closest ? [closest] : [];
+            }
+
+            case 'find': {
+                const found = rest && sourceElement && sourceElement.querySelector(rest);
+                return found ? [found] : [];
+            }
+
+            case 'next':
+            case 'previous':
+                return findSibling(sourceElement, rest, keyword === 'next');
+        }
+
+        const shadowRoot = getShadowRoot(sourceElement);
+        const inShadow = shadowRoot ? Array.from(shadowRoot.querySelectorAll(selector)) : [];
+
+        return inShadow.length > 0 ? inShadow : Array.from(document.querySelectorAll(selector));
     } catch (e) {
         console.warn(`htmz: Invalid target selector '${selector}':`, e);
         return [];
     }
 }
 
-function swapInnerHTML(target, html, options) {
-    if (options.morphing) {
-        morphElement(target, html);
-    } else {
-        target.innerHTML = html;
+function findSibling(sourceElement, selector, forward) {
+    if (!sourceElement) return [];
+
+    if (!selector) {
+        const sibling = forward ? sourceElement.nextElementSibling : sourceElement.previousElementSibling;
+        return sibling ? [sibling] : [];
     }
+
+    // "next .row" is the first match after the element in document order,
+    // "previous .row" the last one before it
+    const position = forward ? Node.DOCUMENT_POSITION_FOLLOWING : Node.DOCUMENT_POSITION_PRECEDING;
+    const matches = Array.from((getShadowRoot(sourceElement) || document).querySelectorAll(selector))
+        .filter(element => element !== sourceElement &&
+            (sourceElement.compareDocumentPosition(element) & position) &&
+            !element.contains(sourceElement) && !sourceElement.contains(element));
+    const match = forward ? matches[0] : matches[matches.length - 1];
+
+    return match ? [match] : [];
 }
 
-function swapOuterHTML(target, html, options) {
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = html;
+function splitSelectorList(selector) {
+    // Commas inside :is(a, b) or [title="a, b"] don't separate entries
+    const parts = [];
+    let depth = 0;
+    let quote = '';
+    let start = 0;
 
-    if (tempDiv.children.length === 1) {
-        target.replaceWith(tempDiv.firstElementChild);
-    } else {
-        const fragment = document.createDocumentFragment();
-        while (tempDiv.firstChild) {
-            fragment.appendChild(tempDiv.firstChild);
+    for (let i = 0; i < selector.length; i++) {
+        const char = selector[i];
+
+        if (quote) {
+            if (char === quote) quote = '';
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '(' || char === '[') {
+            depth++;
+        } else if (char === ')' || char === ']') {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            parts.push(selector.substring(start, i));
+            start = i + 1;
         }
-        target.replaceWith(fragment);
     }
+
+    parts.push(selector.substring(start));
+    return parts.map(part => part.trim()).filter(Boolean);
 }
 
-function swapAppend(target, html, options) {
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = html;
+// A <template> rendered into a shadow root brings its static <style>s
+// along as adopted stylesheets. Returns true when every target adopted
+// them, so the rendered <style> elements can be left out instead of being
+// duplicated on every render.
+function adoptTemplateStyles(templateConfig, targets) {
+    const roots = targets.map(getShadowRoot)
+        .filter((root, i, all) => root && Array.isArray(root.adoptedStyleSheets) && all.indexOf(root) === i);
+
+    if (roots.length === 0) return false;
+
+    const sheets = getTemplateStyleSheets(templateConfig);
 
-    const fragment = document.createDocumentFragment();
-    while (tempDiv.firstChild) {
-        fragment.appendChild(tempDiv.firstChild);
+    for (const root of roots) {
+        const missing = sheets.filter(sheet => !root.adoptedStyleSheets.includes(sheet));
+        if (missing.length > 0) {
+            root.adoptedStyleSheets = [...root.adoptedStyleSheets, ...missing];
+        }
     }
 
-    target.appendChild(fragment);
+    return sheets.length > 0 && targets.every(target => roots.includes(getShadowRoot(target)));
 }
 
-function swapPrepend(target, html, options) {
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = html;
+function getTemplateStyleSheets(templateConfig) {
+    if (templateConfig.type !== 'selector' || typeof CSSStyleSheet !== 'function') {
+        return [];
+    }
 
-    const fragment = document.createDocumentFragment();
-    while (tempDiv.firstChild) {
-        fragment.appendChild(tempDiv.firstChild);
+    const key = templateConfig.value;
+    if (TEMPLATE_STYLESHEETS.has(key)) {
+        return TEMPLATE_STYLESHEETS.get(key);
     }
 
-    target.insertBefore(fragment, target.firstChild);
+    const template = document.querySelector(key);
+    const sheets = [];
+
+    if (template && template.tagName === 'TEMPLATE') {
+        for (const style of template.content.querySelectorAll('style')) {
+            try {
+                const sheet = new CSSStyleSheet();
+                sheet.replaceSync(style.textContent);
+                sheets.push(sheet);
+            } catch (e) {
+                console.warn(`htmz: Could not adopt the styles of template ${key}:`, e);
+            }
+        }
+    }
+
+    TEMPLATE_STYLESHEETS.set(key, sheets);
+    return sheets;
 }
 
-function swapBefore(target, html, options) {
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = html;
+function swapInnerHTML(target, html, options) {
+    // Keyed rows are reconciled so they keep focus, scroll and transitions;
+    // the substring check only saves parsing HTML that can't have any
+    const fragment = options.morphing || html.includes(KEY_ATTR) ? parseFragment(html) : null;
 
-    const fragment = document.createDocumentFragment();
-    while (tempDiv.firstChild) {
-        fragment.appendChild(tempDiv.firstChild);
+    if (fragment && (options.morphing || fragment.querySelector(`[${KEY_ATTR}]`))) {
+        morphPreservingFocus(target, () => morphChildren(target, fragment));
+    } else {
+        target.innerHTML = toTrustedHTML(html);
     }
+}
 
-    target.parentNode.insertBefore(fragment, target);
+function swapOuterHTML(target, html, options) {
+    target.replaceWith(parseFragment(html));
 }
 
-function swapAfter(target, html, options) {
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = html;
+function swapAppend(target, html, options) {
+    target.appendChild(parseFragment(html));
+}
 
-    const fragment = document.createDocumentFragment();
-    while (tempDiv.firstChild) {
-        fragment.appendChild(tempDiv.firstChild);
-    }
+function swapPrepend(target, html, options) {
+    target.insertBefore(parseFragment(html), target.firstChild);
+}
 
-    target.parentNode.insertBefore(fragment, target.nextSibling);
+function swapBefore(target, html, options) {
+    target.parentNode.insertBefore(parseFragment(html), target);
+}
+
+function swapAfter(target, html, options) {
+    target.parentNode.insertBefore(parseFragment(html), target.nextSibling);
 }
 
 function swapReplace(target, html, options) {
     swapOuterHTML(target, html, options);
 }
 
+function swapMorph(target, html, options) {
+    morphElement(target, html);
+}
+
+function swapOuterMorph(target, html, options) {
+    const fragment = parseFragment(html);
+    const nodes = Array.from(fragment.childNodes);
+    const key = getNodeKey(target);
+    const match = nodes.find(node => key !== null && getNodeKey(node) === key) || fragment.firstElementChild;
+
+    if (!match) {
+        target.replaceWith(fragment);
+        return;
+    }
+
+    const index = nodes.indexOf(match);
+
+    morphPreservingFocus(target, () => {
+        target.before(...nodes.slice(0, index));
+        target.after(...nodes.slice(index + 1));
+        morphNode(target, match);
+    });
+}
+
 function swapDelete(target, html, options) {
     target.remove();
 }
@@ -178,16 +647,258 @@ function swapNone(target, html, options) {
 }
 
 function morphElement(target, newHTML) {
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = newHTML;
-    const newElement = tempDiv.firstElementChild;
+    const fragment = parseFragment(newHTML);
+    morphPreservingFocus(target, () => morphChildren(target, fragment));
+}
+
+function morphPreservingFocus(container, morphFn) {
+    const focus = captureFocus(container);
+    morphFocus = focus ? focus.element : null;
+
+    try {
+        morphFn();
+    } finally {
+        morphFocus = null;
+    }
+
+    restoreFocus(focus);
+}
+
+function parseFragment(html) {
+    // A <template> parses table rows and other context-bound elements that
+    // a <div> would drop
+    const template = document.createElement('template');
+    template.innerHTML = toTrustedHTML(html);
+    return template.content;
+}
+
+// Every swap's HTML passes through here first. The mode comes from the
+// closest hz-sanitize attribute, else htmz.config.sanitize:
+//   strict - the template allowlist (or htmz.config.sanitizer)
+//   basic  - drops event handlers, frames, unsafe URLs and the scripts
+//            htmz.config.scripts won't run
+//   off    - unchanged
+function sanitizeSwapHtml(html, sourceElement, roots = [document]) {
+    const mode = getSanitizeMode(sourceElement);
+    const sanitizer = getTemplateConfig().sanitizer;
+
+    if (mode === 'off') return html;
+    if (mode === 'strict' && typeof sanitizer === 'function') return sanitizeTemplateHtml(html);
+
+    // Placeholders of hz-preserve elements in the targets' documents are
+    // kept whatever their tag, so sanitizing can't lose the live iframe or
+    // player they stand for
+    const keepPlaceholder = (tagName, attributes) => {
+        const id = readAttributeValue(attributes, 'id');
+        const element = id && readAttributeValue(attributes, PRESERVE_ATTR) !== null ? findById(roots, id) : null;
+        return !!element && element.localName === tagName && element.hasAttribute(PRESERVE_ATTR);
+    };
+
+    if (mode === 'strict') {
+        return sanitizeHtml(html, { ...(isObject(sanitizer) ? sanitizer : {}), keepPlaceholder });
+    }
+
+    return sanitizeHtml(html, { ...(getScriptsMode() === 'none' ? BASIC_SANITIZE_POLICY : BASIC_SCRIPT_POLICY), keepPlaceholder });
+}
+
+function getSanitizeMode(sourceElement) {
+    const element = sourceElement && sourceElement.closest ? sourceElement.closest(`[${SANITIZE_ATTR}]`) : null;
+    const mode = element
+        ? element.getAttribute(SANITIZE_ATTR)
+        : (typeof htmz !== 'undefined' && htmz.config.sanitize) || 'basic';
+
+    if (!SANITIZE_MODES.includes(mode)) {
+        console.warn(`htmz: Unknown ${SANITIZE_ATTR} mode '${mode}', using 'basic'`);
+        return 'basic';
+    }
+
+    return mode;
+}
+
+// HTML and scripts only reach the DOM through the "htmz" Trusted Types
+// policy, so pages can enforce require-trusted-types-for 'script'. htmz
+// passes values it has vetted itself: sanitized or template-rendered
+// markup, and scripts htmz.config.scripts allows. Any other value given to
+// the policy is sanitized, and scripts are refused unless scripts is 'all'.
+function getTrustedTypesPolicy() {
+    if (trustedTypesPolicy === undefined) {
+        trustedTypesPolicy = null;
+
+        if (typeof window !== 'undefined' && window.trustedTypes && window.trustedTypes.createPolicy) {
+            const allowScript = value => value === vettedValue || getScriptsMode() === 'all' ? value : null;
+
+            try {
+                trustedTypesPolicy = window.trustedTypes.createPolicy('htmz', {
+                    createHTML: value => value === vettedValue ? value : sanitizeSwapHtml(value, null),
+                    createScript: allowScript,
+                    createScriptURL: allowScript
+                });
+            } catch (e) {
+                console.warn("htmz: Could not create the 'htmz' Trusted Types policy:", e);
+            }
+        }
+    }
+
+    return trustedTypesPolicy;
+}
+
+function toTrusted(type, value) {
+    const policy = getTrustedTypesPolicy();
+    if (!policy) return value;
+
+    vettedValue = value;
+    try {
+        return policy[type](value);
+    } finally {
+        vettedValue = null;
+    }
+}
+
+function toTrustedHTML(html) {
+    return toTrusted('createHTML', String(html));
+}
+
+// htmz.config.scripts decides which swapped-in scripts run:
+//   none  - none (the default, like innerHTML)
+//   nonce - those whose nonce matches the page's CSP nonce
+//   all   - every one
+function getScriptsMode() {
+    const mode = (typeof htmz !== 'undefined' && htmz.config.scripts) || 'none';
+
+    if (!SCRIPT_MODES.includes(mode)) {
+        console.warn(`htmz: Unknown scripts mode '${mode}', using 'none'`);
+        return 'none';
+    }
+
+    return mode;
+}
+
+function getScriptNonce() {
+    if (typeof htmz !== 'undefined' && htmz.config.scriptNonce) {
+        return htmz.config.scriptNonce;
+    }
+
+    // Browsers hide nonce attributes once parsed, but keep the property
+    const script = document.querySelector('script[nonce]');
+    return script ? script.nonce || script.getAttribute('nonce') || null : null;
+}
+
+function isRunnableScript(nonce) {
+    const mode = getScriptsMode();
+
+    if (mode === 'all') return true;
+    if (mode === 'nonce') {
+        const pageNonce = getScriptNonce();
+        return !!pageNonce && nonce === pageNonce;
+    }
+
+    return false;
+}
+
+// The elements a swap writes into: the targets, or their parents when the
+// strategy replaces the target or inserts next to it
+function getSwapRegions(targets, strategy) {
+    const outer = !INNER_STRATEGIES.includes(strategy);
+    const regions = [];
+
+    for (const target of targets) {
+        const region = outer && target.parentElement ? target.parentElement : target;
+        if (!regions.includes(region)) {
+            regions.push(region);
+        }
+    }
+
+    return regions;
+}
+
+// Scripts already in the regions a swap writes to, so only new ones run
+function snapshotScripts(targets, strategy) {
+    const regions = getSwapRegions(targets, strategy);
+    const existing = new Set();
+    regions.forEach(region => region.querySelectorAll('script').forEach(script => existing.add(script)));
+
+    return { regions, existing };
+}
+
+// Scripts parsed from HTML never run, so the allowed ones are re-created,
+// in document order; external ones keep that order with async = false
+function runSwappedScripts(snapshot, sourceElement) {
+    const scripts = [];
+
+    for (const region of snapshot.regions) {
+        if (!region.isConnected) continue;
+
+        region.querySelectorAll('script').forEach(script => {
+            if (!snapshot.existing.has(script) && !scripts.includes(script)) {
+                scripts.push(script);
+            }
+        });
+    }
+
+    scripts.sort((a, b) => a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
 
-    if (!newElement) {
-        target.innerHTML = newHTML;
+    for (const script of scripts) {
+        const nonce = script.nonce || script.getAttribute('nonce');
+        if (!isRunnableScript(nonce)) continue;
+
+        const fresh = document.createElement('script');
+
+        for (const attr of script.attributes) {
+            fresh.setAttribute(attr.name, attr.name === 'src' ? toTrusted('createScriptURL', attr.value) : attr.value);
+        }
+
+        if (nonce) fresh.nonce = nonce;
+        fresh.async = false;
+        fresh.textContent = toTrusted('createScript', script.textContent);
+
+        const detail = { script: fresh, src: fresh.getAttribute('src'), source: sourceElement };
+
+        if (fresh.hasAttribute('src')) {
+            fresh.addEventListener('load', () => triggerCustomEvent(fresh, 'hz:scriptExecuted', detail), { once: true });
+            script.replaceWith(fresh);
+        } else {
+            script.replaceWith(fresh);
+            triggerCustomEvent(fresh, 'hz:scriptExecuted', detail);
+        }
+    }
+}
+
+function captureFocus(container) {
+    const element = document.activeElement;
+
+    if (!element || element === document.body || !container.contains(element)) {
+        return null;
+    }
+
+    const focus = { element, start: null, end: null, direction: null };
+
+    // Only text-like inputs have a selection; the others throw or return null
+    try {
+        focus.start = element.selectionStart;
+        focus.end = element.selectionEnd;
+        focus.direction = element.selectionDirection;
+    } catch (e) {
+        focus.start = null;
+    }
+
+    return focus;
+}
+
+function restoreFocus(focus) {
+    // Moving a node blurs it, so a kept element is focused again
+    if (!focus || !focus.element.isConnected || document.activeElement === focus.element) {
         return;
     }
 
-    morphNode(target, newElement);
+    focus.element.focus({ preventScroll: true });
+
+    if (focus.start !== null && focus.start !== undefined) {
+        try {
+            focus.element.setSelectionRange(focus.start, focus.end, focus.direction || 'none');
+        } catch (e) {
+            // The element no longer supports a selection
+        }
+    }
 }
 
 function morphNode(oldNode, newNode) {
@@ -212,63 +923,412 @@ function morphNode(oldNode, newNode) {
         return;
     }
 
-    morphAttributes(oldNode, newNode);
-    morphChildren(oldNode, newNode);
+    // The control being typed in keeps its value and selection
+    const focused = oldNode === morphFocus;
+
+    morphAttributes(oldNode, newNode, focused);
+
+    if (!(focused && oldNode.tagName === 'TEXTAREA')) {
+        morphChildren(oldNode, newNode);
+    }
+
+    if (!focused) {
+        syncFormState(oldNode, newNode);
+    }
 }
 
-function morphAttributes(oldElement, newElement) {
+function morphAttributes(oldElement, newElement, keepValue) {
     const oldAttrs = oldElement.attributes;
     const newAttrs = newElement.attributes;
 
     for (let i = oldAttrs.length - 1; i >= 0; i--) {
         const attr = oldAttrs[i];
-        if (!newElement.hasAttribute(attr.name)) {
+        if (!newElement.hasAttribute(attr.name) && !(keepValue && attr.name === 'value')) {
             oldElement.removeAttribute(attr.name);
         }
     }
 
     for (const attr of newAttrs) {
+        if (keepValue && attr.name === 'value') {
+            continue;
+        }
         if (oldElement.getAttribute(attr.name) !== attr.value) {
             oldElement.setAttribute(attr.name, attr.value);
         }
     }
 }
 
+// Attributes only set the defaults of form controls; their live state has
+// to be copied over or the morphed page keeps showing stale values
+function syncFormState(oldElement, newElement) {
+    switch (oldElement.tagName) {
+        case 'INPUT':
+            if (oldElement.type !== 'file' && oldElement.value !== newElement.value) {
+                oldElement.value = newElement.value;
+            }
+            oldElement.checked = newElement.hasAttribute('checked');
+            break;
+
+        case 'TEXTAREA':
+            if (oldElement.value !== newElement.value) {
+                oldElement.value = newElement.value;
+            }
+            break;
+
+        case 'OPTION': {
+            const select = oldElement.closest('select');
+            if (!select || select !== morphFocus) {
+                oldElement.selected = newElement.hasAttribute('selected');
+            }
+            break;
+        }
+    }
+}
+
 function morphChildren(oldElement, newElement) {
     const oldChildren = Array.from(oldElement.childNodes);
+    const keyed = new Map();
+    const reused = new Set();
+
+    for (const child of oldChildren) {
+        const key = getNodeKey(child);
+        if (key !== null && !keyed.has(key)) {
+            keyed.set(key, child);
+        }
+    }
+
     const newChildren = Array.from(newElement.childNodes);
+    const newKeys = new Set(newChildren.map(getNodeKey).filter(key => key !== null));
+    const seen = new Set();
+    let cursor = oldElement.firstChild;
+
+    for (const newChild of newChildren) {
+        const key = getNodeKey(newChild);
+
+        // Step over rows that are going away so the rows after them don't
+        // have to move
+        while (cursor && getNodeKey(cursor) !== null && !newKeys.has(getNodeKey(cursor))) {
+            cursor = cursor.nextSibling;
+        }
+
+        if (key !== null) {
+            if (seen.has(key)) {
+                console.warn(`htmz: Duplicate morph key '${key}'`);
+            }
+            seen.add(key);
+
+            const match = keyed.get(key);
+            keyed.delete(key);
 
-    const maxLength = Math.max(oldChildren.length, newChildren.length);
+            if (!match) {
+                oldElement.insertBefore(newChild.cloneNode(true), cursor);
+                continue;
+            }
 
-    for (let i = 0; i < maxLength; i++) {
-        const oldChild = oldChildren[i];
-        const newChild = newChildren[i];
+            // Move the existing row into place rather than rebuilding it
+            if (match === cursor) {
+                cursor = cursor.nextSibling;
+            } else {
+                oldElement.insertBefore(match, cursor);
+            }
+            reused.add(match);
+            morphNode(match, newChild);
+            continue;
+        }
+
+        // Keyed rows left at the cursor are moved or removed later
+        while (cursor && getNodeKey(cursor) !== null) {
+            cursor = cursor.nextSibling;
+        }
 
-        if (!oldChild && newChild) {
+        if (cursor) {
+            const current = cursor;
+            cursor = cursor.nextSibling;
+            reused.add(current);
+            morphNode(current, newChild);
+        } else {
             oldElement.appendChild(newChild.cloneNode(true));
-        } else if (oldChild && !newChild) {
-            oldChild.remove();
-        } else if (oldChild && newChild) {
-            morphNode(oldChild, newChild);
+        }
+    }
+
+    for (const child of oldChildren) {
+        if (!reused.has(child)) {
+            child.remove();
         }
     }
 }
 
-function performTransition(element, updateFn) {
-    element.style.opacity = '0';
-    element.style.transition = 'opacity 150ms ease-in-out';
+// hz-key wins; an id is prefixed so it can't collide with a key value
+function getNodeKey(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+        return null;
+    }
+
+    if (node.hasAttribute(KEY_ATTR)) {
+        return node.getAttribute(KEY_ATTR);
+    }
+
+    return node.id ? `#${node.id}` : null;
+}
+
+// "transition" and "transition:true" cross-fade; "transition:slide" also
+// puts hz-transition-slide on <html> and names a single target "slide" so
+// ::view-transition-old(slide) and ::view-transition-new(slide) pair it up
+function performTransition(targets, updateFn, transition) {
+    let name = transition === true || transition === 'true' ? null : String(transition);
+
+    if (name && !TRANSITION_NAME_REGEX.test(name)) {
+        console.warn(`htmz: Invalid transition name '${name}'`);
+        name = null;
+    }
+
+    const element = targets[0];
+    const detail = { targets, name, viewTransition: null };
+
+    if (!triggerCustomEvent(element, 'hz:beforeTransition', detail)) {
+        updateFn();
+        return;
+    }
+
+    const className = name ? `hz-transition-${name}` : null;
+
+    if (typeof document.startViewTransition === 'function') {
+        const root = document.documentElement;
+        const named = name && targets.length === 1 && !element.style.getPropertyValue('view-transition-name') ? element : null;
+        const namedStyles = { 'view-transition-name': name };
+
+        addTemporaryState(root, className);
+        if (named) addTemporaryState(named, null, namedStyles);
+
+        const finish = () => {
+            removeTemporaryState(root, className);
+            if (named) removeTemporaryState(named, null, namedStyles);
+            triggerCustomEvent(element.isConnected ? element : document.body, 'hz:afterTransition', detail);
+        };
+
+        detail.viewTransition = document.startViewTransition(updateFn);
+        detail.viewTransition.finished.then(finish, finish);
+        return;
+    }
+
+    // Without the View Transitions API, fade the targets out and back in
+    const fadeStyles = { opacity: '0', transition: 'opacity 150ms ease-in-out' };
+
+    targets.forEach(target => addTemporaryState(target, className, fadeStyles));
 
     setTimeout(() => {
         updateFn();
-        element.style.opacity = '1';
+        targets.forEach(target => target.style.opacity = '1');
 
         setTimeout(() => {
-            element.style.removeProperty('opacity');
-            element.style.removeProperty('transition');
+            targets.forEach(target => removeTemporaryState(target, className, fadeStyles));
+            triggerCustomEvent(element.isConnected ? element : document.body, 'hz:afterTransition', detail);
         }, 150);
     }, 10);
 }
 
+// Classes and inline styles htmz sets only for a while, like hz-request or
+// a fade's opacity. An element that had no class or style attribute before
+// doesn't keep an empty one once they're taken off again
+function addTemporaryState(element, className, styles = null) {
+    if (className) {
+        noteCreatedAttribute(element, 'class');
+        element.classList.add(className);
+    }
+
+    if (styles) {
+        noteCreatedAttribute(element, 'style');
+        for (const property in styles) {
+            element.style.setProperty(property, styles[property]);
+        }
+    }
+}
+
+function removeTemporaryState(element, className, styles = null) {
+    if (className) {
+        element.classList.remove(className);
+        dropEmptyAttribute(element, 'class');
+    }
+
+    if (styles) {
+        for (const property in styles) {
+            element.style.removeProperty(property);
+        }
+        dropEmptyAttribute(element, 'style');
+    }
+}
+
+function noteCreatedAttribute(element, name) {
+    if (element.hasAttribute(name)) return;
+
+    if (!CREATED_ATTRIBUTES.has(element)) {
+        CREATED_ATTRIBUTES.set(element, new Set());
+    }
+    CREATED_ATTRIBUTES.get(element).add(name);
+}
+
+function dropEmptyAttribute(element, name) {
+    const created = CREATED_ATTRIBUTES.get(element);
+
+    if (created && created.has(name) && !(element.getAttribute(name) || '').trim()) {
+        created.delete(name);
+        element.removeAttribute(name);
+    }
+}
+
+// animate:flip measures the children of every swapped region before the
+// swap (First), again after it (Last), and animates each moved element from
+// the old position to the new one (Invert, Play). Elements are matched by
+// identity, then by hz-key or id, so re-rendered rows animate as well.
+function captureFlip(targets, strategy, animation) {
+    if (!ANIMATIONS.includes(animation)) {
+        console.warn(`htmz: Unknown swap animation '${animation}'`);
+        return null;
+    }
+
+    if (prefersReducedMotion()) {
+        return null;
+    }
+
+    const removingClass = typeof htmz !== 'undefined' ? htmz.config.removingClass : null;
+
+    // Elements still leaving from an earlier swap are not animated again
+    return getSwapRegions(targets, strategy).map(region => ({
+        region,
+        items: Array.from(region.children).filter(element => !removingClass || !element.classList.contains(removingClass)).map(element => ({
+            element,
+            key: getNodeKey(element),
+            rect: element.getBoundingClientRect()
+        }))
+    }));
+}
+
+function playFlip(flip) {
+    const config = typeof htmz !== 'undefined' ? htmz.config : {};
+    const moved = [];
+    const added = [];
+    const leaving = [];
+
+    for (const { region, items } of flip) {
+        if (!region.isConnected) continue;
+
+        const remaining = new Set(items);
+
+        for (const element of region.children) {
+            const key = getNodeKey(element);
+            const item = items.find(item => remaining.has(item) && item.element === element) ||
+                (key !== null && items.find(item => remaining.has(item) && item.key === key));
+
+            if (item) {
+                remaining.delete(item);
+                moved.push({ element, rect: item.rect });
+            } else {
+                added.push(element);
+            }
+        }
+
+        for (const item of remaining) {
+            if (!item.element.isConnected) {
+                leaving.push(item);
+                keepLeavingElement(region, item);
+            }
+        }
+    }
+
+    added.forEach(element => addTemporaryState(element, config.addedClass || 'hz-added'));
+
+    // Measure everything before animating, since transforms change rects
+    const animations = moved
+        .map(({ element, rect }) => ({ element, from: rect, to: element.getBoundingClientRect() }))
+        .filter(({ from, to }) => from.left !== to.left || from.top !== to.top);
+
+    for (const { element, from, to } of animations) {
+        if (typeof element.animate !== 'function') continue;
+
+        element.animate([
+            { transform: `translate(${from.left - to.left}px, ${from.top - to.top}px)` },
+            { transform: 'none' }
+        ], { duration: config.flipDuration || 300, easing: 'ease' });
+    }
+
+    // A frame later, so CSS transitions run from the hz-added state and
+    // towards the hz-removing one
+    requestAnimationFrame(() => {
+        added.forEach(element => removeTemporaryState(element, config.addedClass || 'hz-added'));
+
+        for (const { element } of leaving) {
+            element.classList.add(config.removingClass || 'hz-removing');
+            whenTransitionEnds(element, () => element.remove());
+        }
+    });
+}
+
+// Puts a removed element back where it was, out of the flow, until its
+// hz-removing transition has finished
+function keepLeavingElement(region, item) {
+    const element = item.element;
+
+    element.style.position = 'absolute';
+    element.style.margin = '0';
+    element.style.top = '0';
+    element.style.left = '0';
+    element.style.width = `${item.rect.width}px`;
+    element.style.height = `${item.rect.height}px`;
+    element.style.pointerEvents = 'none';
+    region.appendChild(element);
+
+    const rect = element.getBoundingClientRect();
+    element.style.top = `${item.rect.top - rect.top}px`;
+    element.style.left = `${item.rect.left - rect.left}px`;
+}
+
+function whenTransitionEnds(element, callback) {
+    const duration = getLongestTransition(getComputedStyle(element));
+
+    if (duration === 0) {
+        callback();
+        return;
+    }
+
+    let timeoutId;
+    const finish = (event) => {
+        if (event && event.target !== element) return;
+
+        clearTimeout(timeoutId);
+        element.removeEventListener('transitionend', finish);
+        element.removeEventListener('animationend', finish);
+        callback();
+    };
+
+    element.addEventListener('transitionend', finish);
+    element.addEventListener('animationend', finish);
+    // transitionend never fires if the transition is cancelled
+    timeoutId = setTimeout(finish, duration + 50);
+}
+
+function getLongestTransition(style) {
+    let longest = 0;
+
+    for (const type of ['transition', 'animation']) {
+        const durations = parseCssTimes(style[`${type}Duration`]);
+        const delays = parseCssTimes(style[`${type}Delay`]);
+
+        durations.forEach((duration, i) => {
+            longest = Math.max(longest, duration + (delays[i % delays.length] || 0));
+        });
+    }
+
+    return longest;
+}
+
+function parseCssTimes(value) {
+    return (value || '').split(',').map(time => (parseFloat(time) || 0) * (time.trim().endsWith('ms') ? 1 : 1000));
+}
+
+function prefersReducedMotion() {
+    return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
 function focusElement(container, focusSelector) {
     let target = container;
 
@@ -47,7 +47,7 @@ function showProxyRequiredMessage(element) {
 
     // Show user-friendly message in the browser
     if (element) {
-        element.innerHTML = `
+        element.innerHTML = toTrustedHTML(`
             <div style="
                 border: 2px solid #f39c12;
                 background: #fef9e7;
@@ -65,7 +65,7 @@ function showProxyRequiredMessage(element) {
                     <strong>Start the proxy:</strong> <code>npx htmz proxy</code>
                 </p>
             </div>
-        `;
+        `);
     }
 }
 
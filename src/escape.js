@@ -0,0 +1,407 @@
+/*
+ * escape.js - Context-aware escaping for htmz template interpolations
+ * Copyright (C) 2025 William Theesfeld <william@theesfeld.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ */
+
+"use strict";
+
+// While parsing, the static markup of a template is run through a small
+// HTML state machine so every interpolation knows where it lands: text, an
+// attribute value, a URL, a style, a script, or a tag/attribute name.
+// Values are then encoded for that context, and anything that cannot be
+// made safe is replaced and recorded in the escape report.
+
+const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'formaction', 'poster', 'cite', 'background', 'ping', 'xlink:href', 'data']);
+const RAWTEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+const BLOCKED_URL = 'about:invalid#htmz-blocked';
+const BLOCKED_CSS = 'htmz-blocked';
+const SAFE_NAME_REGEX = /^[a-zA-Z][\w:.-]*$/;
+const SAFE_CSS_REGEX = /^[\w\s#%.,+!\/-]*(?:\([\w\s#%.,+\/-]*\)[\w\s#%.,+!\/-]*)*$/;
+const UNSAFE_CSS_REGEX = /expression|url|image-set|javascript|behavior|binding/i;
+const UNSAFE_TAG_NAMES = new Set(['script', 'style', 'iframe', 'object', 'embed', 'base', 'meta', 'link', 'frame', 'frameset']);
+
+let escapeReport = [];
+
+function createHtmlContext() {
+    return { state: 'text', tag: '', closing: false, attribute: '', quote: '', url: null, urlCount: 0, jsText: '', rawtext: '' };
+}
+
+function advanceHtmlContext(context, text) {
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        switch (context.state) {
+            case 'text':
+                if (char === '<') context.state = 'tagOpen';
+                break;
+
+            case 'tagOpen':
+                if (char === '!' && text.startsWith('--', i + 1)) {
+                    context.state = 'comment';
+                    i += 2;
+                } else if (char === '/' || /[a-zA-Z]/.test(char)) {
+                    context.closing = char === '/';
+                    context.tag = char === '/' ? '' : char.toLowerCase();
+                    context.state = 'tagName';
+                } else {
+                    context.state = char === '<' ? 'tagOpen' : 'text';
+                }
+                break;
+
+            case 'tagName':
+                if (/\s/.test(char)) {
+                    context.state = 'tag';
+                } else if (char === '>') {
+                    closeHtmlTag(context);
+                } else if (char === '/') {
+                    context.state = 'tag';
+                } else {
+                    context.tag += char.toLowerCase();
+                }
+                break;
+
+            case 'tag':
+            case 'afterAttribute':
+                if (char === '>') {
+                    closeHtmlTag(context);
+                } else if (char === '=' && context.state === 'afterAttribute') {
+                    context.state = 'beforeValue';
+                } else if (!/[\s\/]/.test(char)) {
+                    context.attribute = char.toLowerCase();
+                    context.state = 'attribute';
+                }
+                break;
+
+            case 'attribute':
+                if (char === '=') {
+                    context.state = 'beforeValue';
+                } else if (char === '>') {
+                    closeHtmlTag(context);
+                } else if (/\s/.test(char)) {
+                    context.state = 'afterAttribute';
+                } else if (char === '/') {
+                    context.state = 'tag';
+                } else {
+                    context.attribute += char.toLowerCase();
+                }
+                break;
+
+            case 'beforeValue':
+                if (char === '>') {
+                    closeHtmlTag(context);
+                } else if (!/\s/.test(char)) {
+                    openAttributeValue(context, char === '"' || char === "'" ? char : '');
+                    if (!context.quote) i--;
+                }
+                break;
+
+            case 'value':
+                if (context.quote ? char === context.quote : /\s/.test(char)) {
+                    context.state = 'tag';
+                } else if (!context.quote && char === '>') {
+                    closeHtmlTag(context);
+                } else {
+                    addValueText(context, char);
+                }
+                break;
+
+            case 'comment':
+                if (text.startsWith('-->', i)) {
+                    context.state = 'text';
+                    i += 2;
+                }
+                break;
+
+            case 'rawtext':
+                if (char === '<' && text.substring(i + 2, i + 2 + context.rawtext.length).toLowerCase() === context.rawtext && text[i + 1] === '/') {
+                    context.state = 'tagName';
+                    context.closing = true;
+                    context.tag = context.rawtext;
+                    i += 1 + context.rawtext.length;
+                } else {
+                    context.jsText += char;
+                }
+                break;
+        }
+    }
+}
+
+function closeHtmlTag(context) {
+    if (!context.closing && RAWTEXT_ELEMENTS.has(context.tag)) {
+        context.state = 'rawtext';
+        context.rawtext = context.tag;
+        context.jsText = '';
+    } else {
+        context.state = 'text';
+    }
+}
+
+function openAttributeValue(context, quote) {
+    context.state = 'value';
+    context.quote = quote;
+    context.jsText = '';
+    context.url = URL_ATTRIBUTES.has(context.attribute) || context.attribute === 'srcset'
+        ? { id: ++context.urlCount, count: 0, prefix: '', last: null }
+        : null;
+}
+
+// Static text of the current attribute value: the JS of event handlers,
+// and for URLs the text around each interpolation
+function addValueText(context, char) {
+    context.jsText += char;
+
+    if (context.url && context.url.last) {
+        context.url.last.suffix += char;
+    } else if (context.url) {
+        context.url.prefix += char;
+    }
+}
+
+// Where an interpolation at the current position lands; the value it
+// produces is escaped, so only the state around it changes
+function interpolationContext(context) {
+    switch (context.state) {
+        case 'tagOpen':
+        case 'tagName':
+            context.state = 'tagName';
+            return { type: 'tagName' };
+
+        case 'tag':
+        case 'attribute':
+        case 'afterAttribute':
+            // Unsafe names are replaced, so the value needs no special care
+            context.state = 'attribute';
+            context.attribute = '';
+            return { type: 'attributeName' };
+
+        case 'beforeValue':
+            openAttributeValue(context, '');
+            return describeAttributeValue(context);
+
+        case 'value':
+            return describeAttributeValue(context);
+
+        case 'rawtext':
+            if (context.rawtext === 'script') return { type: 'script', jsQuote: findJsQuote(context.jsText) };
+            if (context.rawtext === 'style') return { type: 'style' };
+            return { type: 'text' };
+
+        case 'comment':
+            return { type: 'comment' };
+    }
+
+    return { type: 'text' };
+}
+
+function describeAttributeValue(context) {
+    const attribute = context.attribute;
+    const quote = context.quote;
+
+    if (attribute.startsWith('on')) {
+        return { type: 'script', attribute, quote, jsQuote: findJsQuote(decodeAttributeText(context.jsText)) };
+    }
+
+    if (attribute === 'style') {
+        return { type: 'style', attribute, quote };
+    }
+
+    if (attribute === 'srcdoc') {
+        return { type: 'srcdoc', attribute, quote };
+    }
+
+    if (context.url) {
+        // url is the attribute value this belongs to, index its place in
+        // it; suffix collects the static text up to the next interpolation
+        const url = context.url;
+        const described = { type: 'url', attribute, quote, url: url.id, index: url.count++, prefix: url.prefix, suffix: '' };
+        url.last = described;
+        return described;
+    }
+
+    return { type: 'attribute', attribute, quote };
+}
+
+function escapeForContext(value, context, node) {
+    if (!context || context.type === 'text' || context.type === 'comment') {
+        return escapeHtml(value);
+    }
+
+    if (value === null || value === undefined) return '';
+
+    // Marked-safe HTML is only safe as markup, not inside attributes or scripts
+    const text = String(value);
+
+    switch (context.type) {
+        case 'url':
+            return escapeAttribute(checkUrlValue(text, context, node), context.quote);
+
+        case 'srcdoc':
+            // A whole document can't be made safe one value at a time
+            if (text !== '') {
+                reportNeutralized(node, context, text, 'interpolation in srcdoc');
+            }
+            return '';
+
+        case 'style':
+            if (!SAFE_CSS_REGEX.test(text) || UNSAFE_CSS_REGEX.test(text)) {
+                reportNeutralized(node, context, text, 'unsafe CSS value');
+                return BLOCKED_CSS;
+            }
+            return context.attribute ? escapeAttribute(text, context.quote) : text;
+
+        case 'script': {
+            // Inside a string literal the value is string content, elsewhere a JSON literal
+            const script = context.jsQuote ? escapeJsString(text) : escapeScriptValue(value);
+            return context.attribute ? escapeAttribute(script, context.quote) : script;
+        }
+
+        case 'tagName':
+            if (!SAFE_NAME_REGEX.test(text) || UNSAFE_TAG_NAMES.has(text.toLowerCase())) {
+                reportNeutralized(node, context, text, 'unsafe tag name');
+                return 'span';
+            }
+            return text;
+
+        case 'attributeName':
+            if (text === '') return '';
+            if (!SAFE_NAME_REGEX.test(text) || /^on/i.test(text) || /^(?:style|srcdoc)$/i.test(text) || URL_ATTRIBUTES.has(text.toLowerCase())) {
+                reportNeutralized(node, context, text, 'unsafe attribute name');
+                return 'data-htmz-blocked';
+            }
+            return text;
+    }
+
+    return escapeAttribute(text, context.quote);
+}
+
+function escapeAttribute(text, quote) {
+    const escaped = escapeHtml(text);
+
+    // Unquoted values end at whitespace, so those need encoding as well
+    return quote ? escaped : escaped.replace(/[\s=`]/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function escapeScriptValue(value) {
+    // A JSON literal can't break out of an expression; <, > and & are
+    // escaped so "</script>" and "<!--" can't end the element either
+    const json = JSON.stringify(isSafeHtml(value) ? String(value) : value);
+
+    return (json === undefined ? 'null' : json)
+        .replace(/</g, '\\u003c')
+        .replace(/>/g, '\\u003e')
+        .replace(/&/g, '\\u0026')
+        .replace(/\u2028/g, '\\u2028')
+        .replace(/\u2029/g, '\\u2029');
+}
+
+// A scheme can be spread over static text and several interpolations, so
+// every value is checked against what the attribute holds before it. Until
+// that has a scheme or a path, query or fragment, only the first value may
+// start it, and is checked together with the static text that follows.
+function checkUrlValue(text, context, node) {
+    const frame = RENDER_STACK[RENDER_STACK.length - 1] || {};
+    const previous = frame.urlValue;
+    const continues = context.index > 0 && previous && previous.url === context.url;
+    const before = continues ? previous.text + previous.suffix : context.prefix;
+    let output = text;
+
+    if (!isSchemeFixed(before)) {
+        const unsafe = context.index > 0
+            ? text !== ''
+            : !isSafeContextUrl(before + text + context.suffix, context.attribute);
+
+        if (unsafe) {
+            reportNeutralized(node, context, text, 'unsafe URL scheme');
+            output = BLOCKED_URL;
+        }
+    }
+
+    frame.urlValue = { url: context.url, text: before + output, suffix: context.suffix };
+    return output;
+}
+
+function isSchemeFixed(text) {
+    return /[\/?#:]/.test(decodeHtmlEntities(text));
+}
+
+function isSafeContextUrl(url, attribute) {
+    const sanitizer = getTemplateConfig().sanitizer;
+    const policy = compileSanitizePolicy(isObject(sanitizer) ? sanitizer : undefined);
+
+    return isSafeUrlValue(attribute, url, policy);
+}
+
+// The quote of the JS string literal that the static text leaves open, if
+// any; ${...} in a template literal is code again
+function findJsQuote(text) {
+    const stack = [];
+    let quote = '';
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quote) {
+            if (char === '\\') {
+                i++;
+            } else if (char === quote) {
+                quote = '';
+            } else if (quote === '`' && char === '$' && text[i + 1] === '{') {
+                stack.push(quote);
+                quote = '';
+                i++;
+            }
+        } else if (char === '"' || char === "'" || char === '`') {
+            quote = char;
+        } else if (char === '{' && stack.length > 0) {
+            stack.push(char);
+        } else if (char === '}' && stack.length > 0) {
+            quote = stack.pop() === '`' ? '`' : '';
+        } else if (char === '/' && (text[i + 1] === '/' || text[i + 1] === '*')) {
+            const end = text.indexOf(text[i + 1] === '/' ? '\n' : '*/', i + 2);
+            if (end === -1) return '';
+            i = end;
+        }
+    }
+
+    return quote;
+}
+
+// Attribute values are entity-decoded before the handler is compiled
+function decodeAttributeText(text) {
+    return decodeHtmlEntities(text.replace(/&quot;/gi, '"').replace(/&apos;/gi, "'"));
+}
+
+// Every character that could end the literal, start a ${...} or close the
+// element is written as a \u escape, which means the same in any quotes
+function escapeJsString(text) {
+    return text.replace(/[\\'"`$<>&\u0000-\u001f\u2028\u2029]/g,
+        char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+function reportNeutralized(node, context, value, reason) {
+    const template = RENDER_STACK[RENDER_STACK.length - 1];
+    const position = template && node ? getTemplatePosition(template.source, node.start) : {};
+
+    escapeReport.push({
+        template: template ? template.name : null,
+        line: position.line,
+        column: position.column,
+        context: context.type,
+        attribute: context.attribute || null,
+        value: value.length > 100 ? `${value.substring(0, 100)}...` : value,
+        reason
+    });
+}
+
+function resetEscapeReport() {
+    escapeReport = [];
+}
+
+function getEscapeReport() {
+    return escapeReport;
+}
@@ -12,6 +12,13 @@
 
 const EVENT_HANDLERS = new WeakMap();
 const GLOBAL_LISTENERS = new Map();
+// Last rendered response per element, for re-rendering on locale changes
+const LAST_RESPONSES = new WeakMap();
+// Controls each element's hz-disabled-elt disabled for its request; ones
+// that were disabled already are left alone when it ends
+const DISABLED_ELEMENTS = new WeakMap();
+// IntersectionObservers of revealed/intersect triggers, disconnected on cleanup
+const OBSERVERS = new WeakMap();
 
 function attachEventHandlers(element, config) {
     if (EVENT_HANDLERS.has(element)) {
@@ -52,10 +59,12 @@ function createEventHandler(element, config, trigger) {
         executeRequest(element, config, event);
     };
 
+    let timed = null;
+
     if (options.delay) {
-        handler = debounce(handler, options.delay);
+        handler = timed = debounce(handler, options.delay);
     } else if (options.throttle) {
-        handler = throttle(handler, options.throttle);
+        handler = timed = throttle(handler, options.throttle);
     }
 
     if (options.changed && (eventName === 'input' || eventName === 'change')) {
@@ -70,7 +79,7 @@ function createEventHandler(element, config, trigger) {
         };
     }
 
-    return { eventName, handler, options };
+    return { eventName, handler, options, cancel: timed ? timed.cancel : null };
 }
 
 function attachSingleHandler(element, trigger, handlerInfo) {
@@ -155,19 +164,49 @@ function attachIntersectionObserver(element, handler, threshold = 0) {
     }, { threshold });
 
     observer.observe(element);
+
+    if (!OBSERVERS.has(element)) {
+        OBSERVERS.set(element, []);
+    }
+    OBSERVERS.get(element).push(observer);
 }
 
 function removeEventHandlers(element) {
-    const handlers = EVENT_HANDLERS.get(element);
-    if (!handlers) return;
+    const handlers = EVENT_HANDLERS.get(element) || [];
 
     for (const handlerInfo of handlers) {
-        if (handlerInfo.eventName !== 'load' && handlerInfo.eventName !== 'revealed') {
-            element.removeEventListener(handlerInfo.eventName, handlerInfo.handler);
+        // Pending debounce/throttle timers would fire for a dead element
+        if (handlerInfo.cancel) {
+            handlerInfo.cancel();
+        }
+
+        if (handlerInfo.eventName === 'load') {
+            document.removeEventListener('DOMContentLoaded', handlerInfo.handler);
+        } else if (handlerInfo.eventName !== 'revealed' && handlerInfo.eventName !== 'intersect') {
+            element.removeEventListener(handlerInfo.eventName, handlerInfo.handler, {
+                capture: handlerInfo.options.capture === true
+            });
         }
     }
 
     EVENT_HANDLERS.delete(element);
+
+    const observers = OBSERVERS.get(element) || [];
+    observers.forEach(observer => observer.disconnect());
+    OBSERVERS.delete(element);
+}
+
+// Everything htmz keeps alive for an element: in-flight request, handlers,
+// timers and observers. Returns whether there was anything to clean up.
+function cleanupElement(element) {
+    const active = EVENT_HANDLERS.has(element) || OBSERVERS.has(element) || !!element._hzController;
+    if (!active) return false;
+
+    abortRequest(element);
+    removeEventHandlers(element);
+    triggerCustomEvent(element, 'hz:cleanup', {});
+
+    return true;
 }
 
 function executeRequest(element, config, triggerEvent) {
@@ -182,14 +221,16 @@ function executeRequest(element, config, triggerEvent) {
         return executeBatchRequest(element, config, triggerEvent);
     }
 
+    // Read before hz-disabled-elt disables inputs, which drops their values
+    const data = serializeElement(element, config);
+
     showIndicator(element, config);
+    disableElements(element, config);
     addRequestClass(element);
 
     const controller = createAbortController();
     markRequestStart(element, controller);
 
-    const data = serializeElement(element, config);
-
     // SECURITY: Resolve environment variables at runtime, not in DOM
     const resolvedUrl = typeof resolveEnvVars === 'function'
         ? resolveEnvVars(config.url)
@@ -209,6 +250,7 @@ function executeRequest(element, config, triggerEvent) {
         .then(response => {
             markRequestEnd(element);
             hideIndicator(element, config);
+            enableElements(element, config);
             removeRequestClass(element);
 
             triggerCustomEvent(element, 'hz:beforeSwap', {
@@ -217,23 +259,34 @@ function executeRequest(element, config, triggerEvent) {
                 triggerEvent
             });
 
-            if (config.template) {
-                const html = renderTemplate(config.template, response);
-                const target = config.target || 'this';
-                const swappedElement = updateDOM(target, html, config.swap, element);
-
-                triggerCustomEvent(element, 'hz:afterSwap', {
-                    response,
-                    config,
-                    triggerEvent,
-                    target: swappedElement
-                });
-
-                triggerCustomEvent(swappedElement || element, 'hz:load', {
-                    response,
-                    config,
-                    triggerEvent
-                });
+            // HTML responses are swapped without a template when hz-select
+            // or hz-select-oob picks fragments out of them
+            const selectsHTML = typeof response === 'string' && (config.select || config.selectOob);
+
+            if (config.template || selectsHTML) {
+                // Runs once the DOM was updated, after any swap delay
+                const onSwapped = (swappedElement) => {
+                    triggerCustomEvent(element, 'hz:afterSwap', {
+                        response,
+                        config,
+                        triggerEvent,
+                        target: swappedElement
+                    });
+
+                    triggerCustomEvent(swappedElement || element, 'hz:load', {
+                        response,
+                        config,
+                        triggerEvent
+                    });
+                };
+
+                if (config.template) {
+                    LAST_RESPONSES.set(element, response);
+                    const html = renderTemplate(config.template, response, element);
+                    updateDOM(config.target || 'this', html, { ...config.swap, template: config.template }, element, onSwapped);
+                } else {
+                    swapSelectedHTML(response, config, element, onSwapped);
+                }
             }
 
             triggerCustomEvent(element, 'hz:afterRequest', {
@@ -245,16 +298,25 @@ function executeRequest(element, config, triggerEvent) {
         .catch(error => {
             markRequestEnd(element);
             hideIndicator(element, config);
+            enableElements(element, config);
             removeRequestClass(element);
 
-            const isNetworkError = error instanceof TypeError || error.name === 'NetworkError';
-            const eventName = isNetworkError ? 'hz:sendError' : 'hz:requestError';
+            // Aborted because the element was removed; nothing to report
+            if (error.name === 'AbortError') {
+                return;
+            }
 
-            triggerCustomEvent(element, eventName, {
-                error,
-                config,
-                triggerEvent
-            });
+            // Template errors were already reported through hz:templateError
+            if (error.name !== 'TemplateError') {
+                const isNetworkError = error instanceof TypeError || error.name === 'NetworkError';
+                const eventName = isNetworkError ? 'hz:sendError' : 'hz:requestError';
+
+                triggerCustomEvent(element, eventName, {
+                    error,
+                    config,
+                    triggerEvent
+                });
+            }
 
             if (!config.ignoreErrors) {
                 console.error('htmz: Request failed:', error);
@@ -267,10 +329,51 @@ function executeRequest(element, config, triggerEvent) {
     });
 }
 
+// Render the element's template again without a request, e.g. after its
+// hz-locale changed. Tagged data wins over the element's own last response.
+function rerenderElement(element, config) {
+    const store = window.htmz && window.htmz.store;
+    const data = config.tag && store && store.hasTaggedData(config.tag)
+        ? store.getTaggedData(config.tag)
+        : LAST_RESPONSES.get(element);
+
+    // Appending swaps would duplicate content rather than replace it
+    if (!config.template || data === undefined || !['innerHTML', 'morph'].includes(config.swap.strategy || 'innerHTML')) {
+        return false;
+    }
+
+    try {
+        const html = renderTemplate(config.template, data, element);
+        updateDOM(config.target || 'this', html, { ...config.swap, template: config.template }, element);
+        return true;
+    } catch (error) {
+        if (error.name !== 'TemplateError') {
+            console.error('htmz: Re-render failed:', error, element);
+        }
+        return false;
+    }
+}
+
+function disableElements(element, config) {
+    if (!config.disabledElt) return;
+
+    const disabled = findTargets(config.disabledElt, element).filter(target => !target.disabled);
+    disabled.forEach(target => target.disabled = true);
+    DISABLED_ELEMENTS.set(element, disabled);
+}
+
+function enableElements(element, config) {
+    const disabled = DISABLED_ELEMENTS.get(element);
+    if (!disabled) return;
+
+    disabled.forEach(target => target.disabled = false);
+    DISABLED_ELEMENTS.delete(element);
+}
+
 function showIndicator(element, config) {
     if (!config.indicator) return;
 
-    const indicators = document.querySelectorAll(config.indicator);
+    const indicators = findTargets(config.indicator, element);
     indicators.forEach(indicator => {
         indicator.style.display = '';
         indicator.removeAttribute('hidden');
@@ -281,7 +384,7 @@ function showIndicator(element, config) {
 function hideIndicator(element, config) {
     if (!config.indicator) return;
 
-    const indicators = document.querySelectorAll(config.indicator);
+    const indicators = findTargets(config.indicator, element);
     indicators.forEach(indicator => {
         indicator.style.display = 'none';
         indicator.setAttribute('hidden', '');
@@ -290,13 +393,15 @@ function hideIndicator(element, config) {
 }
 
 function triggerCustomEvent(element, eventName, detail) {
+    // composed, so events from elements in shadow roots reach the document
     const event = new CustomEvent(eventName, {
         detail,
         bubbles: true,
-        cancelable: true
+        cancelable: true,
+        composed: true
     });
 
-    element.dispatchEvent(event);
+    return element.dispatchEvent(event);
 }
 
 function addGlobalEventListener(eventName, selector, handler) {
@@ -327,47 +432,52 @@ function removeGlobalEventListener(eventName, selector) {
 }
 
 function addRequestClass(element) {
-    if (typeof htmz !== 'undefined' && htmz.config.requestClass) {
-        element.classList.add(htmz.config.requestClass);
+    if (typeof htmz !== 'undefined') {
+        addTemporaryState(element, htmz.config.requestClass);
     }
 }
 
 function removeRequestClass(element) {
-    if (typeof htmz !== 'undefined' && htmz.config.requestClass) {
-        element.classList.remove(htmz.config.requestClass);
+    if (typeof htmz !== 'undefined') {
+        removeTemporaryState(element, htmz.config.requestClass);
     }
 }
 
 function addSwappingClass(element) {
-    if (typeof htmz !== 'undefined' && htmz.config.swappingClass) {
-        element.classList.add(htmz.config.swappingClass);
+    if (typeof htmz !== 'undefined') {
+        addTemporaryState(element, htmz.config.swappingClass);
     }
 }
 
 function removeSwappingClass(element) {
-    if (typeof htmz !== 'undefined' && htmz.config.swappingClass) {
-        element.classList.remove(htmz.config.swappingClass);
+    if (typeof htmz !== 'undefined') {
+        removeTemporaryState(element, htmz.config.swappingClass);
     }
 }
 
 function addSettlingClass(element) {
-    if (typeof htmz !== 'undefined' && htmz.config.settlingClass) {
-        element.classList.add(htmz.config.settlingClass);
-        setTimeout(() => {
-            element.classList.remove(htmz.config.settlingClass);
-        }, htmz.config.defaultSettleDelay || 20);
+    if (typeof htmz !== 'undefined') {
+        addTemporaryState(element, htmz.config.settlingClass);
+    }
+}
+
+function removeSettlingClass(element) {
+    if (typeof htmz !== 'undefined') {
+        removeTemporaryState(element, htmz.config.settlingClass);
     }
 }
 
 async function executeBatchRequest(element, config, triggerEvent) {
+    // Read before hz-disabled-elt disables inputs, which drops their values
+    const data = serializeElement(element, config);
+
     showIndicator(element, config);
+    disableElements(element, config);
     addRequestClass(element);
 
     const controller = createAbortController();
     markRequestStart(element, controller);
 
-    const data = serializeElement(element, config);
-
     try {
         const batchPromises = config.batch.map(async (batchItem) => {
             const { tag, url } = batchItem;
@@ -394,6 +504,7 @@ async function executeBatchRequest(element, config, triggerEvent) {
 
         markRequestEnd(element);
         hideIndicator(element, config);
+        enableElements(element, config);
         removeRequestClass(element);
 
         triggerCustomEvent(element, 'hz:beforeSwap', {
@@ -405,16 +516,18 @@ async function executeBatchRequest(element, config, triggerEvent) {
         if (config.template) {
             // For batch requests, we pass the last response as the main data for backward compatibility
             const lastResponse = batchResults.length > 0 ? batchResults[batchResults.length - 1].response : {};
+            LAST_RESPONSES.set(element, lastResponse);
 
-            const html = renderTemplate(config.template, lastResponse);
+            const html = renderTemplate(config.template, lastResponse, element);
             const target = config.target || 'this';
-            const swappedElement = updateDOM(target, html, config.swap, element);
 
-            triggerCustomEvent(element, 'hz:afterSwap', {
-                responses: batchResults.map(r => r.response),
-                config,
-                triggerEvent,
-                swappedElement
+            updateDOM(target, html, { ...config.swap, template: config.template }, element, (swappedElement) => {
+                triggerCustomEvent(element, 'hz:afterSwap', {
+                    responses: batchResults.map(r => r.response),
+                    config,
+                    triggerEvent,
+                    swappedElement
+                });
             });
         }
 
@@ -426,13 +539,21 @@ async function executeBatchRequest(element, config, triggerEvent) {
     } catch (error) {
         markRequestEnd(element);
         hideIndicator(element, config);
+        enableElements(element, config);
         removeRequestClass(element);
 
-        triggerCustomEvent(element, 'hz:requestError', {
-            error,
-            config,
-            triggerEvent
-        });
+        // Aborted because the element was removed; nothing to report
+        if (error.name === 'AbortError') {
+            return;
+        }
+
+        if (error.name !== 'TemplateError') {
+            triggerCustomEvent(element, 'hz:requestError', {
+                error,
+                config,
+                triggerEvent
+            });
+        }
 
         if (htmz.config.logRequests) {
             console.error('htmz: Batch request failed:', error);
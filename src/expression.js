@@ -0,0 +1,315 @@
+/*
+ * expression.js - Safe template expression parser for htmz
+ * Copyright (C) 2025 William Theesfeld <william@theesfeld.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ */
+
+"use strict";
+
+// Expressions are parsed into a small tree and walked at render time.
+// Nothing is ever handed to eval() or new Function().
+//
+//   expression := or
+//   or         := and ('||' and)*
+//   and        := comparison ('&&' comparison)*
+//   comparison := unary (('===' | '!==' | '==' | '!=' | '>=' | '<=' | '>' | '<' | 'in') unary)?
+//   unary      := '!' unary | pipe
+//   pipe       := primary ('|' name (':' primary (',' primary)*)?)*
+//   primary    := string | number | true | false | null | undefined | path | '(' expression ')'
+
+const EXPRESSION_OPERATORS = ['===', '!==', '==', '!=', '>=', '<=', '&&', '||', '>', '<', '!', '(', ')', '|', ':', ','];
+const COMPARISON_OPERATORS = new Set(['===', '!==', '==', '!=', '>=', '<=', '>', '<', 'in']);
+const EXPRESSION_LITERALS = { true: true, false: false, null: null, undefined: undefined };
+const PATH_START_REGEX = /[A-Za-z_$@.]/;
+const PATH_CHAR_REGEX = /[\w$@.\/-]/;
+const NUMBER_REGEX = /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+
+function parseExpression(source) {
+    const tokens = tokenizeExpression(source);
+    const parser = { source, tokens, index: 0 };
+
+    if (tokens.length === 0) {
+        throw createExpressionError(parser, 'Empty expression', 0);
+    }
+
+    const tree = parseOr(parser);
+
+    if (parser.index < tokens.length) {
+        const token = tokens[parser.index];
+        throw createExpressionError(parser, `Unexpected '${token.value}'`, token.start);
+    }
+
+    return tree;
+}
+
+function tokenizeExpression(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        if (char === '"' || char === "'") {
+            const start = i;
+            let value = '';
+            i++;
+
+            while (i < source.length && source[i] !== char) {
+                if (source[i] === '\\' && i + 1 < source.length) {
+                    i++;
+                }
+                value += source[i];
+                i++;
+            }
+
+            if (i >= source.length) {
+                throw createExpressionError({ source }, 'Unterminated string', start);
+            }
+
+            tokens.push({ type: 'literal', value, start });
+            i++;
+            continue;
+        }
+
+        NUMBER_REGEX.lastIndex = i;
+        const number = NUMBER_REGEX.exec(source);
+        const previous = tokens[tokens.length - 1];
+        // A leading "-" is only a sign where a value is expected
+        if (number && (char !== '-' || !previous || previous.type === 'operator')) {
+            tokens.push({ type: 'literal', value: Number(number[0]), start: i });
+            i += number[0].length;
+            continue;
+        }
+
+        const operator = EXPRESSION_OPERATORS.find(op => source.startsWith(op, i));
+        if (operator) {
+            tokens.push({ type: 'operator', value: operator, start: i });
+            i += operator.length;
+            continue;
+        }
+
+        if (PATH_START_REGEX.test(char)) {
+            const start = i;
+            while (i < source.length && PATH_CHAR_REGEX.test(source[i])) {
+                i++;
+            }
+
+            const word = source.substring(start, i);
+            if (word === 'in') {
+                tokens.push({ type: 'operator', value: 'in', start });
+            } else if (EXPRESSION_LITERALS.hasOwnProperty(word)) {
+                tokens.push({ type: 'literal', value: EXPRESSION_LITERALS[word], start });
+            } else {
+                tokens.push({ type: 'path', value: word, start });
+            }
+            continue;
+        }
+
+        throw createExpressionError({ source }, `Unexpected character '${char}'`, i);
+    }
+
+    return tokens;
+}
+
+function parseOr(parser) {
+    let left = parseAnd(parser);
+
+    while (matchOperator(parser, '||')) {
+        left = { type: 'logical', operator: '||', left, right: parseAnd(parser) };
+    }
+
+    return left;
+}
+
+function parseAnd(parser) {
+    let left = parseComparison(parser);
+
+    while (matchOperator(parser, '&&')) {
+        left = { type: 'logical', operator: '&&', left, right: parseComparison(parser) };
+    }
+
+    return left;
+}
+
+function parseComparison(parser) {
+    const left = parseUnary(parser);
+    const token = parser.tokens[parser.index];
+
+    if (token && token.type === 'operator' && COMPARISON_OPERATORS.has(token.value)) {
+        parser.index++;
+        return { type: 'compare', operator: token.value, left, right: parseUnary(parser) };
+    }
+
+    return left;
+}
+
+function parseUnary(parser) {
+    if (matchOperator(parser, '!')) {
+        return { type: 'not', operand: parseUnary(parser) };
+    }
+
+    return parsePipe(parser);
+}
+
+function parsePipe(parser) {
+    let value = parsePrimary(parser);
+
+    while (matchOperator(parser, '|')) {
+        const token = parser.tokens[parser.index];
+        if (!token || token.type !== 'path') {
+            throw createExpressionError(parser, 'Expected a filter name after |', token ? token.start : parser.source.length);
+        }
+        parser.index++;
+
+        const args = [];
+        if (matchOperator(parser, ':')) {
+            do {
+                args.push(parsePrimary(parser));
+            } while (matchOperator(parser, ','));
+        }
+
+        value = { type: 'filter', name: token.value, input: value, args, start: token.start };
+    }
+
+    return value;
+}
+
+function parsePrimary(parser) {
+    const token = parser.tokens[parser.index];
+
+    if (!token) {
+        throw createExpressionError(parser, 'Unexpected end of expression', parser.source.length);
+    }
+
+    parser.index++;
+
+    if (token.type === 'literal') {
+        return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'path') {
+        return { type: 'path', path: token.value, start: token.start };
+    }
+
+    if (token.value === '(') {
+        const inner = parseOr(parser);
+        if (!matchOperator(parser, ')')) {
+            throw createExpressionError(parser, 'Missing closing )', parser.source.length);
+        }
+        return inner;
+    }
+
+    throw createExpressionError(parser, `Unexpected '${token.value}'`, token.start);
+}
+
+function matchOperator(parser, operator) {
+    const token = parser.tokens[parser.index];
+
+    if (token && token.type === 'operator' && token.value === operator) {
+        parser.index++;
+        return true;
+    }
+
+    return false;
+}
+
+function createExpressionError(parser, message, position) {
+    const error = new Error(`${message} in expression '${parser.source}' at position ${position}`);
+    error.name = 'ExpressionError';
+    error.position = position;
+    return error;
+}
+
+function evaluateExpressionTree(node, scope, optional) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+
+        case 'path':
+            return evaluateExpression(node.path, scope, optional);
+
+        case 'not':
+            return !isTruthy(evaluateExpressionTree(node.operand, scope, optional));
+
+        case 'logical': {
+            const left = evaluateExpressionTree(node.left, scope, optional);
+            if (node.operator === '&&') {
+                return isTruthy(left) ? evaluateExpressionTree(node.right, scope, optional) : left;
+            }
+            return isTruthy(left) ? left : evaluateExpressionTree(node.right, scope, optional);
+        }
+
+        case 'compare':
+            return compareValues(
+                node.operator,
+                evaluateExpressionTree(node.left, scope, optional),
+                evaluateExpressionTree(node.right, scope, optional)
+            );
+
+        case 'filter': {
+            // A missing input is fine when the filters fill it in, as in
+            // {{name | default:"n/a"}}, so it's only checked after the chain
+            const value = applyFilter(
+                node.name,
+                evaluateExpressionTree(node.input, scope, true),
+                node.args.map(arg => evaluateExpressionTree(arg, scope, optional))
+            );
+
+            if (!optional && (value === undefined || value === null || value === '')) {
+                const path = findMissingPath(node.input, scope);
+                if (path !== null) {
+                    evaluateExpression(path, scope, false);
+                }
+            }
+
+            return value;
+        }
+    }
+
+    return undefined;
+}
+
+// The path a filter chain starts from, when it has no value
+function findMissingPath(node, scope) {
+    if (node.type === 'filter') {
+        return findMissingPath(node.input, scope);
+    }
+
+    if (node.type !== 'path') {
+        return null;
+    }
+
+    try {
+        return resolvePath(node.path, scope) === undefined ? node.path : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function compareValues(operator, left, right) {
+    switch (operator) {
+        case '===': return left === right;
+        case '!==': return left !== right;
+        case '==': return left == right;
+        case '!=': return left != right;
+        case '>=': return left >= right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '<': return left < right;
+        case 'in':
+            if (isArray(right) || isString(right)) return right.includes(left);
+            if (isObject(right)) return Object.prototype.hasOwnProperty.call(right, left);
+            return false;
+    }
+
+    return false;
+}
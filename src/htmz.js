@@ -14,6 +14,9 @@
 
     const HTMZ_VERSION = '1.2.1';
     const INITIALIZED_ATTR = 'data-hz-init';
+    // Shadow roots passed to htmz.process, with the observers watching
+    // them; dropped again once their host has left the page
+    const SHADOW_ROOTS = new Map();
 
     const htmz = {
         version: HTMZ_VERSION,
@@ -30,9 +33,22 @@
             swappingClass: 'hz-swapping',
             indicatorClass: 'hz-indicator',
             allowEval: true,
+            sanitize: 'basic',
+            scripts: 'none',
+            scriptNonce: null,
+            sanitizer: null,
+            maxPartialDepth: 32,
+            objectKeyOrder: 'insertion',
+            strictTemplates: false,
+            templateErrorOverlay: false,
+            locale: null,
+            fallbackLocale: 'en',
             withCredentials: false,
             defaultSwapDelay: 0,
             defaultSettleDelay: 20,
+            addedClass: 'hz-added',
+            removingClass: 'hz-removing',
+            flipDuration: 300,
             scrollBehavior: 'instant',
             includeIndicatorStyles: true
         }
@@ -40,13 +56,15 @@
 
     function init() {
         if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', initializeElements);
+            document.addEventListener('DOMContentLoaded', () => initializeElements());
         } else {
             initializeElements();
         }
 
         setupMutationObserver();
+        setupLocaleObserver();
         setupGlobalErrorHandler();
+        setupTemplateErrorOverlay();
         setupBeforeUnloadHandler();
 
         // Ensure store is available for tagged data
@@ -66,8 +84,9 @@
         }
     }
 
-    function initializeElements() {
-        const elements = findElementsWithAttributes();
+    // root is the document or a shadow root passed to htmz.process
+    function initializeElements(root = document) {
+        const elements = findElementsWithAttributes(root);
 
         for (const element of elements) {
             if (element.hasAttribute(INITIALIZED_ATTR)) {
@@ -89,36 +108,111 @@
         }
     }
 
-    function setupMutationObserver() {
-        if (!window.MutationObserver || !document.body) return;
+    function setupMutationObserver(root = document) {
+        const observed = root === document ? document.body : root;
+        if (!window.MutationObserver || !observed) return null;
 
         const observer = new MutationObserver((mutations) => {
             let needsInit = false;
 
             for (const mutation of mutations) {
-                if (mutation.type === 'childList') {
-                    for (const node of mutation.addedNodes) {
-                        if (node.nodeType === Node.ELEMENT_NODE) {
-                            if (hasHzAttributes(node) || node.querySelector('[' + HZ_ATTRIBUTES.join('], [') + ']')) {
-                                needsInit = true;
-                                break;
-                            }
-                        }
+                if (mutation.type !== 'childList') continue;
+
+                for (const node of mutation.removedNodes) {
+                    if (node.nodeType === Node.ELEMENT_NODE) {
+                        cleanupRemovedTree(node);
                     }
                 }
 
-                if (needsInit) break;
+                if (needsInit) continue;
+
+                for (const node of mutation.addedNodes) {
+                    if (node.nodeType === Node.ELEMENT_NODE) {
+                        if (hasHzAttributes(node) || node.querySelector('[' + HZ_ATTRIBUTES.join('], [') + ']')) {
+                            needsInit = true;
+                            break;
+                        }
+                    }
+                }
             }
 
             if (needsInit) {
-                setTimeout(initializeElements, 0);
+                setTimeout(() => initializeElements(root), 0);
             }
         });
 
-        observer.observe(document.body, {
+        observer.observe(observed, {
             childList: true,
             subtree: true
         });
+        return observer;
+    }
+
+    // Morphs and hz-preserve move nodes, which also shows up as a removal;
+    // only nodes that are still out of the document are cleaned up
+    function cleanupRemovedTree(root) {
+        if (root.isConnected) return;
+
+        const elements = [root, ...root.querySelectorAll(`[${INITIALIZED_ATTR}]`)];
+        elements.forEach(cleanupRemovedElement);
+        cleanupShadowRoots(root);
+    }
+
+    // querySelectorAll doesn't reach into shadow roots, so processed ones
+    // under removed hosts are cleaned up and forgotten here; htmz.process
+    // sets them up again if the host is put back
+    function cleanupShadowRoots(container) {
+        for (const [root, observers] of SHADOW_ROOTS) {
+            if (container.contains(root.host)) {
+                SHADOW_ROOTS.delete(root);
+                observers.forEach(observer => observer.disconnect());
+                root.querySelectorAll(`[${INITIALIZED_ATTR}]`).forEach(cleanupRemovedElement);
+                cleanupShadowRoots(root);
+            }
+        }
+    }
+
+    function cleanupRemovedElement(element) {
+        if (cleanupElement(element)) {
+            // Initialize again if the element is put back
+            element.removeAttribute(INITIALIZED_ATTR);
+        }
+    }
+
+    function setupLocaleObserver(root = document) {
+        if (!window.MutationObserver) return null;
+
+        const observer = new MutationObserver((mutations) => {
+            for (const mutation of mutations) {
+                rerenderLocalized(mutation.target);
+            }
+        });
+
+        observer.observe(root === document ? document.documentElement : root, {
+            attributes: true,
+            attributeFilter: ['hz-locale', 'lang'],
+            subtree: true
+        });
+        return observer;
+    }
+
+    function rerenderLocalized(container) {
+        const elements = [container, ...container.querySelectorAll(`[${INITIALIZED_ATTR}]`)];
+
+        // Shadow roots inherit hz-locale from their host's ancestors
+        for (const root of SHADOW_ROOTS.keys()) {
+            if (!root.host.isConnected) {
+                SHADOW_ROOTS.delete(root);
+            } else if (container.contains(root.host)) {
+                elements.push(...root.querySelectorAll(`[${INITIALIZED_ATTR}]`));
+            }
+        }
+
+        for (const element of elements) {
+            if (element.hasAttribute(INITIALIZED_ATTR)) {
+                rerenderElement(element, parseAttributes(element));
+            }
+        }
     }
 
     function hasHzAttributes(element) {
@@ -138,6 +232,55 @@
         });
     }
 
+    function setupTemplateErrorOverlay() {
+        document.addEventListener('hz:templateError', (event) => {
+            console.error(`htmz: ${event.detail.error.message}\n${event.detail.snippet || ''}`);
+
+            if (htmz.config.templateErrorOverlay) {
+                showTemplateErrorOverlay(event.detail);
+            }
+        });
+    }
+
+    function showTemplateErrorOverlay(detail) {
+        if (!document.body) return;
+
+        const existing = document.getElementById('hz-template-error-overlay');
+        if (existing) {
+            existing.remove();
+        }
+
+        const overlay = document.createElement('div');
+        overlay.id = 'hz-template-error-overlay';
+        overlay.setAttribute('role', 'alert');
+        overlay.style.cssText = [
+            'position: fixed', 'left: 1rem', 'right: 1rem', 'bottom: 1rem', 'z-index: 2147483647',
+            'max-height: 50vh', 'overflow: auto', 'padding: 1rem', 'border-radius: 8px',
+            'border: 2px solid #e74c3c', 'background: #fdf2f2', 'color: #7b1e1e',
+            'font-family: system-ui, sans-serif', 'box-shadow: 0 8px 24px rgba(0, 0, 0, 0.2)'
+        ].join(';');
+
+        const title = document.createElement('strong');
+        title.textContent = 'htmz template error';
+
+        const message = document.createElement('p');
+        message.style.margin = '0.5rem 0';
+        message.textContent = detail.error.message;
+
+        const snippet = document.createElement('pre');
+        snippet.style.cssText = 'margin: 0; padding: 0.5rem; background: #fff; overflow: auto; font-size: 0.85em;';
+        snippet.textContent = detail.snippet || '';
+
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.textContent = 'Dismiss';
+        close.style.cssText = 'float: right; cursor: pointer;';
+        close.addEventListener('click', () => overlay.remove());
+
+        overlay.append(close, title, message, snippet);
+        document.body.appendChild(overlay);
+    }
+
     function setupBeforeUnloadHandler() {
         window.addEventListener('beforeunload', () => {
             const elements = document.querySelectorAll(`[${INITIALIZED_ATTR}]`);
@@ -154,6 +297,17 @@
             return;
         }
 
+        // A shadow root is initialized and watched like the document
+        if (element && element.nodeType === Node.DOCUMENT_FRAGMENT_NODE && element.host) {
+            initializeElements(element);
+
+            if (!SHADOW_ROOTS.has(element)) {
+                const observers = [setupMutationObserver(element), setupLocaleObserver(element)];
+                SHADOW_ROOTS.set(element, observers.filter(Boolean));
+            }
+            return;
+        }
+
         if (element && element.nodeType === Node.ELEMENT_NODE) {
             element.removeAttribute(INITIALIZED_ATTR);
             const config = parseAttributes(element);
@@ -204,9 +358,9 @@
         const html = renderTemplate(template, data);
 
         if (targetSelector) {
-            const target = document.querySelector(targetSelector);
+            const target = findTargets(targetSelector)[0] || null;
             if (target) {
-                target.innerHTML = html;
+                updateDOM('this', html, { strategy: 'innerHTML', template }, target);
             }
             return target;
         }
@@ -214,15 +368,15 @@
         return html;
     };
 
-    htmz.swap = function(targetSelector, html, strategy = 'innerHTML') {
-        const swapConfig = { strategy };
+    htmz.swap = function(targetSelector, html, strategy = 'innerHTML', sourceElement = document.body) {
+        const swapConfig = { strategy, sanitizeSource: sourceElement };
         return updateDOM(targetSelector, html, swapConfig, document.body);
     };
 
     htmz.remove = function(selector) {
         const elements = document.querySelectorAll(selector);
         elements.forEach(element => {
-            removeEventHandlers(element);
+            cleanupRemovedElement(element);
             element.remove();
         });
     };
@@ -243,8 +397,42 @@
         removeGlobalEventListener(eventName, selector);
     };
 
+    htmz.registerFilter = function(name, fn) {
+        registerFilter(name, fn);
+    };
+
+    htmz.i18n = {
+        load: function(locale, messages) {
+            loadMessages(locale, messages);
+        },
+
+        t: function(key, params, locale) {
+            return translate(key, params, locale || getElementLocale());
+        },
+
+        getLocale: function(element) {
+            return getElementLocale(element);
+        },
+
+        // Re-renders the last response of every htmz element inside root
+        setLocale: function(locale, root = document.documentElement) {
+            if (typeof root === 'string') {
+                root = document.querySelector(root);
+            }
+            if (root) {
+                root.setAttribute('hz-locale', locale);
+            }
+        }
+    };
+
+    // Used by the script "htmz compile" generates
+    htmz.registerCompiledTemplate = function(id, build, source) {
+        return registerCompiledTemplate(id, build, source);
+    };
+
     htmz.clearCache = function() {
         clearTemplateCache();
+        TEMPLATE_STYLESHEETS.clear();
     };
 
     htmz.logRequests = function(enabled = true) {
@@ -0,0 +1,405 @@
+/*
+ * i18n.js - Message catalogs and plural rules for htmz templates
+ * Copyright (C) 2025 William Theesfeld <william@theesfeld.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ */
+
+"use strict";
+
+// Messages use a subset of ICU MessageFormat:
+//
+//   {name}                                      argument
+//   {count, number} / {when, date, short}       formatted argument
+//   {count, plural, =0 {None} one {# order} other {# orders}}
+//   {role, select, admin {Admin} other {Member}}
+//
+// Plural categories and number/date formats come from Intl for the locale.
+
+const I18N_CATALOGS = new Map();
+const PARSED_MESSAGES = new Map();
+const PLURAL_RULES = new Map();
+const MISSING_TRANSLATIONS = new Set();
+const DEFAULT_FALLBACK_LOCALE = 'en';
+const MESSAGE_WORD_REGEX = /[^\s{},]+/y;
+
+function loadMessages(locale, messages) {
+    if (!isString(locale) || !isObject(messages)) {
+        console.warn('htmz: i18n.load expects a locale and an object of messages');
+        return;
+    }
+
+    const key = normalizeLocale(locale);
+    const catalog = I18N_CATALOGS.get(key) || new Map();
+
+    flattenMessages(messages, '', catalog);
+    I18N_CATALOGS.set(key, catalog);
+    MISSING_TRANSLATIONS.clear();
+}
+
+function flattenMessages(messages, prefix, catalog) {
+    // { orders: { count: '...' } } is looked up as "orders.count"
+    for (const [key, value] of Object.entries(messages)) {
+        const path = prefix ? `${prefix}.${key}` : key;
+
+        if (isObject(value)) {
+            flattenMessages(value, path, catalog);
+        } else {
+            catalog.set(path, String(value));
+        }
+    }
+}
+
+function translate(key, params = {}, locale = getTemplateLocale()) {
+    locale = toIntlLocale(locale);
+    const message = findMessage(key, locale);
+
+    if (message === undefined) {
+        return missingTranslation(key, locale);
+    }
+
+    let nodes;
+    try {
+        nodes = parseMessage(message);
+    } catch (error) {
+        return templateFailure(`${error.message} in translation '${key}'`) || key;
+    }
+
+    return formatMessage(nodes, params || {}, locale, null);
+}
+
+function findMessage(key, locale) {
+    for (const candidate of getLocaleChain(locale)) {
+        const catalog = I18N_CATALOGS.get(candidate);
+        if (catalog && catalog.has(key)) {
+            return catalog.get(key);
+        }
+    }
+
+    return undefined;
+}
+
+function getLocaleChain(locale) {
+    // "de-AT" falls back to "de", then to the fallback locale and its base
+    const fallback = getTemplateConfig().fallbackLocale || DEFAULT_FALLBACK_LOCALE;
+    const chain = [];
+
+    for (const tag of [locale, fallback]) {
+        if (!tag) continue;
+
+        const parts = normalizeLocale(tag).split('-');
+        for (let i = parts.length; i > 0; i--) {
+            const candidate = parts.slice(0, i).join('-');
+            if (!chain.includes(candidate)) {
+                chain.push(candidate);
+            }
+        }
+    }
+
+    return chain;
+}
+
+function missingTranslation(key, locale) {
+    const message = `Missing translation '${key}' for locale ${locale || 'default'}`;
+
+    if (isStrictTemplates()) {
+        throw createTemplateError(message);
+    }
+
+    if (!MISSING_TRANSLATIONS.has(message)) {
+        MISSING_TRANSLATIONS.add(message);
+        console.warn(`htmz: ${message}`);
+    }
+
+    return key;
+}
+
+function normalizeLocale(locale) {
+    return String(locale).replace(/_/g, '-').toLowerCase();
+}
+
+function toIntlLocale(locale) {
+    if (!locale) return undefined;
+
+    try {
+        return Intl.getCanonicalLocales(String(locale).replace(/_/g, '-'))[0];
+    } catch (e) {
+        console.warn(`htmz: Invalid locale '${locale}'`);
+        return undefined;
+    }
+}
+
+function getTemplateLocale() {
+    const current = RENDER_STACK[RENDER_STACK.length - 1];
+    const locale = (current && current.scope.locale) || getTemplateConfig().locale;
+
+    return toIntlLocale(locale);
+}
+
+function parseMessage(message) {
+    let nodes = PARSED_MESSAGES.get(message);
+
+    if (!nodes) {
+        const parser = { source: message, index: 0 };
+        nodes = parseMessageNodes(parser, false);
+
+        if (parser.index < message.length) {
+            throw createMessageError(parser, "Unexpected '}'", parser.index);
+        }
+
+        PARSED_MESSAGES.set(message, nodes);
+    }
+
+    return nodes;
+}
+
+function parseMessageNodes(parser, nested) {
+    const source = parser.source;
+    const nodes = [];
+    let text = '';
+
+    while (parser.index < source.length) {
+        const char = source[parser.index];
+
+        if (char === '}') {
+            break;
+        }
+
+        // '' is a literal quote; '{...}' quotes syntax characters
+        if (char === "'") {
+            const next = source[parser.index + 1];
+
+            if (next === "'") {
+                text += "'";
+                parser.index += 2;
+                continue;
+            }
+
+            if (next === '{' || next === '}' || next === '#') {
+                const end = source.indexOf("'", parser.index + 1);
+                const stop = end === -1 ? source.length : end;
+                text += source.substring(parser.index + 1, stop);
+                parser.index = end === -1 ? stop : end + 1;
+                continue;
+            }
+        }
+
+        if (char === '{' || (char === '#' && nested)) {
+            if (text) {
+                nodes.push({ type: 'text', value: text });
+                text = '';
+            }
+
+            if (char === '#') {
+                nodes.push({ type: 'count' });
+                parser.index++;
+            } else {
+                nodes.push(parseMessageArgument(parser));
+            }
+            continue;
+        }
+
+        text += char;
+        parser.index++;
+    }
+
+    if (text) {
+        nodes.push({ type: 'text', value: text });
+    }
+
+    return nodes;
+}
+
+function parseMessageArgument(parser) {
+    const start = parser.index;
+    parser.index++;
+
+    const name = readMessageWord(parser);
+    if (!name) {
+        throw createMessageError(parser, 'Expected an argument name', start);
+    }
+
+    if (matchMessageChar(parser, '}')) {
+        return { type: 'argument', name };
+    }
+
+    expectMessageChar(parser, ',');
+    const format = readMessageWord(parser);
+
+    if (format === 'plural' || format === 'selectordinal' || format === 'select') {
+        expectMessageChar(parser, ',');
+        return parseMessageOptions(parser, name, format, start);
+    }
+
+    if (format !== 'number' && format !== 'date' && format !== 'time') {
+        throw createMessageError(parser, `Unknown argument type '${format}'`, start);
+    }
+
+    let style = null;
+    if (matchMessageChar(parser, ',')) {
+        const end = parser.source.indexOf('}', parser.index);
+        if (end === -1) {
+            throw createMessageError(parser, 'Missing closing }', start);
+        }
+        style = parser.source.substring(parser.index, end).trim();
+        parser.index = end;
+    }
+
+    expectMessageChar(parser, '}');
+    return { type: 'format', name, format, style };
+}
+
+function parseMessageOptions(parser, name, format, start) {
+    const node = {
+        type: format === 'select' ? 'select' : 'plural',
+        name,
+        ordinal: format === 'selectordinal',
+        offset: 0,
+        options: {}
+    };
+
+    while (!matchMessageChar(parser, '}')) {
+        const selector = readMessageWord(parser);
+        if (!selector) {
+            throw createMessageError(parser, `Unterminated ${format} in argument '${name}'`, start);
+        }
+
+        if (selector.startsWith('offset:')) {
+            node.offset = Number(selector.substring(7)) || 0;
+            continue;
+        }
+
+        expectMessageChar(parser, '{');
+        node.options[selector] = parseMessageNodes(parser, true);
+        expectMessageChar(parser, '}');
+    }
+
+    if (!node.options.other) {
+        throw createMessageError(parser, `The ${format} in argument '${name}' needs an 'other' option`, start);
+    }
+
+    return node;
+}
+
+function readMessageWord(parser) {
+    skipMessageWhitespace(parser);
+    MESSAGE_WORD_REGEX.lastIndex = parser.index;
+
+    const match = MESSAGE_WORD_REGEX.exec(parser.source);
+    if (!match) return '';
+
+    parser.index += match[0].length;
+    return match[0];
+}
+
+function matchMessageChar(parser, char) {
+    skipMessageWhitespace(parser);
+
+    if (parser.source[parser.index] === char) {
+        parser.index++;
+        return true;
+    }
+
+    return false;
+}
+
+function expectMessageChar(parser, char) {
+    if (!matchMessageChar(parser, char)) {
+        throw createMessageError(parser, `Expected '${char}'`, parser.index);
+    }
+}
+
+function skipMessageWhitespace(parser) {
+    while (parser.index < parser.source.length && /\s/.test(parser.source[parser.index])) {
+        parser.index++;
+    }
+}
+
+function createMessageError(parser, message, position) {
+    const error = new Error(`${message} in message '${parser.source}' at position ${position}`);
+    error.name = 'MessageError';
+    error.position = position;
+    return error;
+}
+
+function formatMessage(nodes, params, locale, count) {
+    let result = '';
+
+    for (const node of nodes) {
+        switch (node.type) {
+            case 'text':
+                result += node.value;
+                break;
+
+            case 'count':
+                result += count === null ? '#' : formatNumber(count, {}, locale);
+                break;
+
+            case 'argument': {
+                const value = params[node.name];
+                result += value === undefined || value === null ? '' : String(value);
+                break;
+            }
+
+            case 'format':
+                result += formatMessageArgument(node, params[node.name], locale);
+                break;
+
+            case 'plural': {
+                const value = Number(params[node.name]);
+                const relative = value - node.offset;
+                const category = getPluralRules(locale, node.ordinal).select(relative);
+                const option = node.options[`=${value}`] || node.options[category] || node.options.other;
+                result += formatMessage(option, params, locale, relative);
+                break;
+            }
+
+            case 'select': {
+                const option = node.options[String(params[node.name])] || node.options.other;
+                result += formatMessage(option, params, locale, count);
+                break;
+            }
+        }
+    }
+
+    return result;
+}
+
+function formatMessageArgument(node, value, locale) {
+    if (value === undefined || value === null) return '';
+
+    if (node.format === 'date') {
+        return formatDate(value, node.style || 'medium', locale);
+    }
+
+    if (node.format === 'time') {
+        return formatDate(value, 'time', locale);
+    }
+
+    // {n, number, percent} / {n, number, integer} / {n, number, ::currency/EUR}
+    const style = (node.style || '').replace(/^::/, '');
+    if (style === 'percent') {
+        return formatNumber(value, { style: 'percent' }, locale);
+    }
+    if (style === 'integer') {
+        return formatNumber(value, { maximumFractionDigits: 0 }, locale);
+    }
+    if (style.startsWith('currency/')) {
+        return formatNumber(value, { style: 'currency', currency: style.substring(9) }, locale);
+    }
+
+    return formatNumber(value, {}, locale);
+}
+
+function getPluralRules(locale, ordinal) {
+    const key = `${locale || ''}|${ordinal ? 'ordinal' : 'cardinal'}`;
+
+    if (!PLURAL_RULES.has(key)) {
+        PLURAL_RULES.set(key, new Intl.PluralRules(locale, { type: ordinal ? 'ordinal' : 'cardinal' }));
+    }
+
+    return PLURAL_RULES.get(key);
+}
@@ -15,7 +15,7 @@ const HZ_ATTRIBUTES = [
     'hz-template', 'hz-target', 'hz-swap', 'hz-trigger',
     'hz-params', 'hz-headers', 'hz-include', 'hz-confirm',
     'hz-indicator', 'hz-sync', 'hz-swap-oob', 'hz-push-url',
-    'hz-select', 'hz-select-oob', 'hz-preserve',
+    'hz-select', 'hz-select-oob', 'hz-preserve', 'hz-disabled-elt',
     'hz-tag', 'hz-batch'
 ];
 
@@ -25,7 +25,7 @@ function parseAttributes(element) {
         url: null,
         template: null,
         target: null,
-        swap: 'innerHTML',
+        swap: { strategy: 'innerHTML', options: {} },
         trigger: 'click',
         params: {},
         headers: {},
@@ -38,6 +38,7 @@ function parseAttributes(element) {
         select: null,
         selectOob: null,
         preserve: null,
+        disabledElt: null,
         tag: null,
         batch: null
     };
@@ -102,6 +103,10 @@ function parseAttributes(element) {
                 config.preserve = value;
                 break;
 
+            case 'disabled-elt':
+                config.disabledElt = value;
+                break;
+
             case 'tag':
                 config.tag = value;
                 break;
@@ -253,7 +258,7 @@ function parseBatch(batchStr) {
 }
 
 
-function findElementsWithAttributes() {
+function findElementsWithAttributes(root = document) {
     const selector = HZ_ATTRIBUTES.map(attr => `[${attr}]`).join(',');
-    return document.querySelectorAll(selector);
+    return root.querySelectorAll(selector);
 }
\ No newline at end of file
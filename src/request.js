@@ -180,7 +180,9 @@ function handleProxyResponse(response) {
 }
 
 function handleError(error, url, method) {
-    console.error(`htmz: ${method} request to ${url} failed:`, error);
+    if (error.name !== 'AbortError') {
+        console.error(`htmz: ${method} request to ${url} failed:`, error);
+    }
     throw error;
 }
 
@@ -191,7 +193,7 @@ function handleProxyError(error, url, method) {
         console.error(`htmz: Proxy server not available at ${proxyUrl.origin}`);
         console.error('htmz: Start the proxy server with: npx htmz proxy');
         console.error('htmz: Or disable proxy mode with: htmz.configure({ proxy: false })');
-    } else {
+    } else if (error.name !== 'AbortError') {
         console.error(`htmz: Proxy request to ${url} failed:`, error);
     }
     throw error;
@@ -230,9 +232,12 @@ function serializeElement(element, config) {
     }
 
     if (config.include) {
-        const includeElements = document.querySelectorAll(config.include);
+        const includeElements = findTargets(config.include, element);
         for (const el of includeElements) {
-            if (el.name && el.value !== undefined) {
+            // "closest form" includes the whole form
+            if (el.tagName === 'FORM') {
+                Object.assign(data, serializeForm(el));
+            } else if (el.name && el.value !== undefined) {
                 data[el.name] = el.value;
             }
         }
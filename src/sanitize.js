@@ -0,0 +1,312 @@
+/*
+ * sanitize.js - Allowlist HTML sanitizer for htmz
+ * Copyright (C) 2025 William Theesfeld <william@theesfeld.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ */
+
+"use strict";
+
+// The sanitizer works on strings rather than on a parsed DOM so that it
+// behaves the same in the browser and in Node. Anything that is not an
+// allowed, well-formed tag is escaped or dropped - never passed through.
+
+const DEFAULT_SANITIZE_POLICY = {
+    tags: [
+        'a', 'abbr', 'article', 'aside', 'b', 'blockquote', 'br', 'caption', 'cite',
+        'code', 'col', 'colgroup', 'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt',
+        'em', 'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+        'header', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'picture',
+        'pre', 'q', 's', 'samp', 'section', 'small', 'source', 'span', 'strong', 'sub',
+        'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr',
+        'u', 'ul', 'var', 'wbr'
+    ],
+    attributes: {
+        '*': ['class', 'id', 'title', 'lang', 'dir', 'role', 'aria-*', 'data-*'],
+        a: ['href', 'target', 'rel', 'name'],
+        blockquote: ['cite'],
+        col: ['span'],
+        colgroup: ['span'],
+        del: ['cite', 'datetime'],
+        details: ['open'],
+        img: ['src', 'srcset', 'alt', 'width', 'height', 'loading'],
+        ins: ['cite', 'datetime'],
+        ol: ['start', 'reversed', 'type'],
+        q: ['cite'],
+        source: ['src', 'srcset', 'type', 'media', 'sizes'],
+        td: ['colspan', 'rowspan', 'headers'],
+        th: ['colspan', 'rowspan', 'headers', 'scope'],
+        time: ['datetime']
+    },
+    urlAttributes: ['href', 'src', 'srcset', 'cite', 'action', 'formaction', 'poster', 'xlink:href'],
+    schemes: ['http', 'https', 'mailto', 'tel'],
+    // Elements removed together with everything inside them
+    dropContent: [
+        'script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea',
+        'title', 'svg', 'math', 'select', 'xmp', 'noembed', 'noframes', 'plaintext'
+    ],
+    blockedAttributes: [],
+    // Text-only elements whose content is kept but can't contain markup
+    escapeContent: []
+};
+
+// hz-sanitize="basic", the default for swaps: any tag or attribute except
+// those that can run script, load documents or rewrite the page's base URL,
+// so forms, custom elements, SVG and hz-* attributes keep working
+const BASIC_SANITIZE_POLICY = {
+    tags: null,
+    attributes: null,
+    // hz-sanitize is dropped so swapped-in markup can't switch sanitizing off
+    blockedAttributes: ['srcdoc', 'hz-sanitize'],
+    // Rendered templates aren't sanitized, so a response can't bring its
+    // own: <template> elements and inline hz-template values are dropped
+    keepAttribute: (name, value) => name !== 'hz-template' || !/[<{]/.test(value),
+    urlAttributes: ['href', 'src', 'srcset', 'cite', 'action', 'formaction', 'poster', 'xlink:href', 'data', 'background', 'ping', 'codebase'],
+    schemes: ['http', 'https', 'mailto', 'tel'],
+    dropContent: [
+        'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+        'noscript', 'xmp', 'noembed', 'noframes', 'plaintext', 'base', 'meta', 'link',
+        'math', 'animate', 'set', 'template'
+    ],
+    escapeContent: ['textarea', 'title']
+};
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'frame', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const SANITIZE_TAG_REGEX = /<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/y;
+const SANITIZE_ATTR_REGEX = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const URL_SCHEME_REGEX = /^([a-z][a-z0-9+.-]*):/;
+const COMPILED_POLICIES = new WeakMap();
+
+let defaultPolicy = null;
+
+function sanitizeHtml(html, policy) {
+    if (html === null || html === undefined) return '';
+
+    const compiled = compileSanitizePolicy(policy);
+    const source = String(html);
+    let result = '';
+    let position = 0;
+
+    while (position < source.length) {
+        const lt = source.indexOf('<', position);
+        if (lt === -1) {
+            result += source.substring(position);
+            break;
+        }
+
+        result += source.substring(position, lt);
+
+        if (source.startsWith('<!--', lt)) {
+            const end = source.indexOf('-->', lt + 4);
+            position = end === -1 ? source.length : end + 3;
+            continue;
+        }
+
+        if (source[lt + 1] === '!' || source[lt + 1] === '?') {
+            const end = source.indexOf('>', lt);
+            position = end === -1 ? source.length : end + 1;
+            continue;
+        }
+
+        SANITIZE_TAG_REGEX.lastIndex = lt;
+        const match = SANITIZE_TAG_REGEX.exec(source);
+
+        if (!match) {
+            result += '&lt;';
+            position = lt + 1;
+            continue;
+        }
+
+        const closing = match[1] === '/';
+        const tagName = match[2].toLowerCase();
+        position = lt + match[0].length;
+
+        // A placeholder for an element the page keeps (hz-preserve) is
+        // replaced by that element, so it survives whatever its tag
+        if (!closing && compiled.keepPlaceholder && compiled.keepPlaceholder(tagName, match[3] || '')) {
+            const id = readAttributeValue(match[3], 'id').replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+            result += `<${tagName} id="${id}" hz-preserve>`;
+            if (match[4] !== '/' && !VOID_ELEMENTS.has(tagName)) {
+                result += `</${tagName}>`;
+                position = findClosingTag(source, tagName, position);
+            }
+            continue;
+        }
+
+        // Scripts a policy lets through keep their code as-is
+        if (tagName === 'script' && !closing && compiled.keepScript && compiled.keepScript(match[3] || '')) {
+            const close = source.toLowerCase().indexOf('</script', position);
+            const code = source.substring(position, close === -1 ? source.length : close);
+            result += `<script${sanitizeAttributes(tagName, match[3], compiled)}>${code}</script>`;
+            position = findClosingTag(source, tagName, position);
+            continue;
+        }
+
+        if (compiled.dropContent.has(tagName)) {
+            if (!closing && match[4] !== '/' && !VOID_ELEMENTS.has(tagName)) {
+                position = findClosingTag(source, tagName, position);
+            }
+            continue;
+        }
+
+        if (compiled.tags && !compiled.tags.has(tagName)) {
+            continue;
+        }
+
+        if (closing) {
+            if (!VOID_ELEMENTS.has(tagName)) {
+                result += `</${tagName}>`;
+            }
+            continue;
+        }
+
+        result += `<${tagName}${sanitizeAttributes(tagName, match[3], compiled)}>`;
+
+        // The browser reads everything up to the closing tag as text, so
+        // markup in there must not reach it unescaped
+        if (compiled.escapeContent.has(tagName) && match[4] !== '/') {
+            const end = source.toLowerCase().indexOf(`</${tagName}`, position);
+            const stop = end === -1 ? source.length : end;
+            result += source.substring(position, stop).replace(/</g, '&lt;');
+            position = stop;
+        }
+    }
+
+    return result;
+}
+
+function findClosingTag(source, tagName, from) {
+    const lower = source.toLowerCase();
+    const index = lower.indexOf(`</${tagName}`, from);
+    if (index === -1) return source.length;
+
+    const end = source.indexOf('>', index);
+    return end === -1 ? source.length : end + 1;
+}
+
+function sanitizeAttributes(tagName, attributeSource, compiled) {
+    if (!attributeSource) return '';
+
+    let result = '';
+    let hasBlankTarget = false;
+    let hasRel = false;
+    let match;
+
+    SANITIZE_ATTR_REGEX.lastIndex = 0;
+
+    while ((match = SANITIZE_ATTR_REGEX.exec(attributeSource)) !== null) {
+        const name = match[1].toLowerCase();
+        const value = match[2] ?? match[3] ?? match[4] ?? '';
+
+        if (name.startsWith('on') || compiled.blockedAttributes.has(name) || !isAllowedAttribute(tagName, name, compiled)) {
+            continue;
+        }
+
+        if (compiled.keepAttribute && !compiled.keepAttribute(name, value)) {
+            continue;
+        }
+
+        if (compiled.urlAttributes.has(name) && !isSafeUrlValue(name, value, compiled)) {
+            continue;
+        }
+
+        if (name === 'target' && value === '_blank') hasBlankTarget = true;
+        if (name === 'rel') hasRel = true;
+
+        result += ` ${name}="${value.replace(/"/g, '&quot;')}"`;
+    }
+
+    // Links opened in a new tab must not get a handle on this window
+    if (hasBlankTarget && !hasRel) {
+        result += ' rel="noopener noreferrer"';
+    }
+
+    return result;
+}
+
+function readAttributeValue(attributeSource, name) {
+    const regex = new RegExp(SANITIZE_ATTR_REGEX.source, 'g');
+    let match;
+
+    while ((match = regex.exec(attributeSource)) !== null) {
+        if (match[1].toLowerCase() === name) {
+            return match[2] ?? match[3] ?? match[4] ?? '';
+        }
+    }
+
+    return null;
+}
+
+function isAllowedAttribute(tagName, name, compiled) {
+    if (!compiled.attributes) return true;
+
+    const allowed = [compiled.attributes['*'], compiled.attributes[tagName]];
+
+    return allowed.some(list => list && list.some(pattern => pattern.endsWith('*')
+        ? name.startsWith(pattern.slice(0, -1))
+        : name === pattern));
+}
+
+function isSafeUrlValue(name, value, compiled) {
+    const urls = name === 'srcset'
+        ? value.split(',').map(candidate => candidate.trim().split(/\s+/)[0])
+        : [value];
+
+    return urls.every(url => isSafeUrl(url, compiled.schemes));
+}
+
+function isSafeUrl(url, schemes) {
+    // Browsers ignore control characters and whitespace inside schemes and
+    // decode entities before resolving, so "jav&#x09;ascript:" must be caught
+    const normalized = decodeHtmlEntities(String(url))
+        .replace(/[\u0000- \u007f-\u009f]/g, '')
+        .toLowerCase();
+
+    const match = normalized.match(URL_SCHEME_REGEX);
+    if (!match) return true;
+
+    return schemes.includes(match[1]);
+}
+
+function decodeHtmlEntities(str) {
+    return str
+        .replace(/&#x([0-9a-f]+);?/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16) || 0))
+        .replace(/&#(\d+);?/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10) || 0))
+        .replace(/&colon;/gi, ':')
+        .replace(/&tab;/gi, '\t')
+        .replace(/&newline;/gi, '\n')
+        .replace(/&amp;/gi, '&');
+}
+
+function compileSanitizePolicy(policy) {
+    if (!policy) {
+        if (!defaultPolicy) {
+            defaultPolicy = buildSanitizePolicy(DEFAULT_SANITIZE_POLICY);
+        }
+        return defaultPolicy;
+    }
+
+    if (!COMPILED_POLICIES.has(policy)) {
+        COMPILED_POLICIES.set(policy, buildSanitizePolicy({ ...DEFAULT_SANITIZE_POLICY, ...policy }));
+    }
+
+    return COMPILED_POLICIES.get(policy);
+}
+
+function buildSanitizePolicy(policy) {
+    return {
+        tags: policy.tags ? new Set(policy.tags.map(tag => tag.toLowerCase())) : null,
+        attributes: policy.attributes,
+        urlAttributes: new Set(policy.urlAttributes),
+        schemes: policy.schemes.map(scheme => scheme.toLowerCase()),
+        dropContent: new Set(policy.dropContent),
+        blockedAttributes: new Set(policy.blockedAttributes || []),
+        escapeContent: new Set(policy.escapeContent || []),
+        keepScript: policy.keepScript || null,
+        keepAttribute: policy.keepAttribute || null,
+        keepPlaceholder: policy.keepPlaceholder || null
+    };
+}
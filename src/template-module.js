@@ -0,0 +1,180 @@
+/*
+ * template-module.js - DOM-free template API for Node (SSR, static generation)
+ * Copyright (C) 2025 William Theesfeld <william@theesfeld.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ */
+
+"use strict";
+
+// Appended after utils.js, sanitize.js, expression.js and template.js to
+// build dist/htmz-template.js, which is require('@htmz/htmz/template').
+
+function renderString(template, data, options = {}) {
+    return processTemplate(String(template), data, options.name || 'inline template', options.locale);
+}
+
+function renderNamedTemplate(id, data, options = {}) {
+    const key = toTemplateKey(id);
+    const template = getTemplate({ type: 'selector', value: key });
+
+    if (template === null) {
+        throw new Error(`Template ${key} is not registered`);
+    }
+
+    return processTemplate(template, data, key, options.locale);
+}
+
+function renderFile(file, data, options = {}) {
+    const fs = require('fs');
+    const html = fs.readFileSync(file, 'utf8');
+    const ids = loadTemplates(html);
+
+    // A file of <template> elements renders one of them; any other file is
+    // itself the template
+    if (options.template || ids.length > 0) {
+        return renderNamedTemplate(options.template || ids[0], data, options);
+    }
+
+    return renderString(html, data, { name: file, locale: options.locale });
+}
+
+function compileString(template, name = 'inline template') {
+    const source = String(template);
+    const render = compileTemplate(source, name);
+
+    return (data, options = {}) => {
+        const scope = createScope(data);
+        scope.locale = options.locale || null;
+        return runTemplate(render, { name, source }, scope);
+    };
+}
+
+// Generate a script of precompiled render functions for "htmz compile".
+// Each template is parsed and checked here; the output only calls
+// TEMPLATE_BUILDERS with plain data, so nothing is interpreted at runtime.
+function precompileTemplates(templates, options = {}) {
+    const ids = new Set(templates.map(template => toTemplateKey(template.id)));
+    const lines = [];
+
+    for (const template of templates) {
+        const id = toTemplateKey(template.id);
+        const name = template.file ? `${template.file} ${id}` : id;
+        const ast = parseTemplateSource(template.source);
+        const located = { name, source: template.source };
+
+        if (ast.errors.length > 0) {
+            const first = ast.errors[0];
+            throw locateTemplateError(createTemplateError(first.message), located, first.position);
+        }
+
+        // Without allowEval a partial that was not compiled can never render
+        if (!options.allowEval) {
+            const missing = findPartials(ast.children).find(node => !ids.has(node.name));
+            if (missing) {
+                throw locateTemplateError(createTemplateError(`Partial ${missing.name} is not among the compiled templates`), located, missing.start);
+            }
+        }
+
+        lines.push(`    htmz.registerCompiledTemplate(${JSON.stringify(id)}, h => ${generateNodes(ast.children, '    ')}, ${JSON.stringify(template.source)});`);
+    }
+
+    return [
+        '/* Generated by "htmz compile" - do not edit */',
+        '(function (htmz) {',
+        '    "use strict";',
+        '',
+        options.allowEval ? null : '    htmz.config.allowEval = false;\n',
+        ...lines,
+        "})(typeof window !== 'undefined' ? window.htmz : require('@htmz/htmz/template'));",
+        ''
+    ].filter(line => line !== null).join('\n');
+}
+
+function generateNodes(nodes, indent) {
+    if (nodes.length === 0) {
+        return 'h.nodes([])';
+    }
+
+    const inner = indent + '    ';
+    return `h.nodes([\n${nodes.map(node => inner + generateNode(node, inner)).join(',\n')}\n${indent}])`;
+}
+
+function generateNode(node, indent) {
+    switch (node.type) {
+        case 'text':
+            return `h.text(${JSON.stringify(node.value)})`;
+
+        case 'interpolation':
+        case 'raw':
+            return `h.${node.type}(${JSON.stringify({ tree: node.tree, context: node.context, start: node.start })})`;
+
+        case 'translate':
+            return `h.translate(${JSON.stringify({ key: node.key, params: node.params, context: node.context, start: node.start })})`;
+
+        case 'partial':
+            return `h.partial(${JSON.stringify({ name: node.name, context: node.context, start: node.start })})`;
+
+        case 'block': {
+            const meta = JSON.stringify({ name: node.name, path: node.path, order: node.order, start: node.start });
+            const empty = node.empty ? generateNodes(node.empty, indent) : 'null';
+            return `h.block(${meta}, ${generateNodes(node.children, indent)}, ${empty})`;
+        }
+
+        case 'conditional': {
+            const inner = indent + '    ';
+            const branches = node.branches.map(branch =>
+                `${inner}{ test: ${JSON.stringify(branch.test)}, render: ${generateNodes(branch.children, inner)} }`);
+            return `h.conditional(${JSON.stringify({ start: node.start })}, [\n${branches.join(',\n')}\n${indent}])`;
+        }
+    }
+
+    return 'h.text("")';
+}
+
+function findPartials(nodes) {
+    const partials = [];
+
+    for (const node of nodes) {
+        if (node.type === 'partial') {
+            partials.push(node);
+        }
+        for (const children of [node.children, node.empty, ...(node.branches || []).map(branch => branch.children)]) {
+            if (children) {
+                partials.push(...findPartials(children));
+            }
+        }
+    }
+
+    return partials;
+}
+
+function configureTemplates(options) {
+    Object.assign(STANDALONE_TEMPLATE_CONFIG, options);
+    return STANDALONE_TEMPLATE_CONFIG;
+}
+
+module.exports = {
+    render: renderString,
+    renderTemplate: renderNamedTemplate,
+    renderFile,
+    compile: compileString,
+    precompile: precompileTemplates,
+    registerTemplate,
+    registerCompiledTemplate,
+    loadTemplates,
+    extractTemplates,
+    registerFilter,
+    sanitizeHtml,
+    i18n: {
+        load: loadMessages,
+        t: translate
+    },
+    escapeReport: () => getEscapeReport().slice(),
+    configure: configureTemplates,
+    config: STANDALONE_TEMPLATE_CONFIG,
+    clearCache: clearTemplateCache
+};
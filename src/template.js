@@ -11,184 +11,1023 @@
 "use strict";
 
 const TEMPLATE_CACHE = new Map();
-const INTERPOLATION_REGEX = /\{\{([^}]+)\}\}/g;
-const BLOCK_REGEX = /\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g;
-const CONDITIONAL_REGEX = /\{\{\?([^}]+)\}\}([\s\S]*?)\{\{\/\?\}\}/g;
+const NUMBER_FORMATS = new Map();
+const DATE_FORMATS = new Map();
+// Compiled templates by source, least recently used first
+const COMPILED_TEMPLATES = new Map();
+const MAX_COMPILED_TEMPLATES = 500;
+const TAG_OPEN = '{{';
+const TAG_CLOSE = '}}';
+const RAW_TAG_OPEN = '{{{';
+const SAFE_HTML = Symbol('htmz.safeHtml');
+const MAX_PARTIAL_DEPTH = 32;
+const RENDER_STACK = [];
+const TEMPLATE_ELEMENT_REGEX = /<template\b([^>]*)>([\s\S]*?)<\/template>/gi;
+const TEMPLATE_ID_REGEX = /\bid\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i;
+const TRANSLATE_TAG_REGEX = /^t\s+["']/;
+const TRANSLATE_PARAM_REGEX = /\s+([A-Za-z_$][\w$]*)=(?!=)/y;
+const TAG_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&nbsp;': ' ' };
 
-function renderTemplate(templateConfig, data) {
+// Used instead of htmz.config when rendering without a browser (Node, CLI)
+const STANDALONE_TEMPLATE_CONFIG = {};
+const FILTER_NAME_REGEX = /^[A-Za-z_$][\w$]*$/;
+
+const BUILTIN_FILTERS = {
+    upper: value => String(value).toUpperCase(),
+    lower: value => String(value).toLowerCase(),
+    capitalize: value => {
+        const str = String(value);
+        return str.charAt(0).toUpperCase() + str.slice(1);
+    },
+    trim: value => String(value).trim(),
+    truncate: (value, length = 50, suffix = '...') => {
+        const str = String(value);
+        return str.length > length ? str.slice(0, length) + suffix : str;
+    },
+    default: (value, fallback = '') => isEmpty(value) && value !== 0 && value !== false ? fallback : value,
+    length: value => value !== null && value !== undefined && value.length !== undefined ? value.length : 0,
+    join: (value, separator = ', ') => isArray(value) ? value.join(separator) : value,
+    json: value => JSON.stringify(value),
+    number: (value, decimals) => formatNumber(value, decimals === undefined ? {} : {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+    }),
+    percent: (value, decimals = 0) => formatNumber(value, {
+        style: 'percent',
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+    }),
+    currency: (value, currency = 'USD') => formatNumber(value, { style: 'currency', currency }),
+    date: (value, format = 'medium') => formatDate(value, format),
+    html: value => markSafeHtml(sanitizeTemplateHtml(value))
+};
+
+const TEMPLATE_FILTERS = new Map(Object.entries(BUILTIN_FILTERS));
+
+function renderTemplate(templateConfig, data, element) {
     const template = getTemplate(templateConfig);
     if (!template) return '';
 
-    const result = processTemplate(template, data);
+    const name = templateConfig.type === 'selector' ? templateConfig.value : 'inline template';
+    let result;
 
-    processOutOfBandSwaps(data);
+    try {
+        result = processTemplate(template, data, name, getElementLocale(element));
+    } catch (error) {
+        if (error.name === 'TemplateError') {
+            reportTemplateError(error, element);
+        }
+        throw error;
+    }
+
+    reportEscapedValues(getEscapeReport(), name, element);
+
+    processOutOfBandSwaps(data, element);
 
     return result;
 }
 
 function getTemplate(templateConfig) {
     if (templateConfig.type === 'selector') {
-        const element = document.querySelector(templateConfig.value);
+        const cacheKey = templateConfig.value;
+        if (TEMPLATE_CACHE.has(cacheKey)) {
+            return TEMPLATE_CACHE.get(cacheKey);
+        }
+
+        const element = typeof document !== 'undefined' ? document.querySelector(templateConfig.value) : null;
         if (!element) {
             console.warn(`htmz: Template element ${templateConfig.value} not found`);
             return null;
         }
 
-        const cacheKey = templateConfig.value;
-        if (!TEMPLATE_CACHE.has(cacheKey)) {
-            const content = element.tagName === 'TEMPLATE'
-                ? element.innerHTML
-                : element.textContent;
-            TEMPLATE_CACHE.set(cacheKey, content);
-        }
+        const content = element.tagName === 'TEMPLATE'
+            ? element.innerHTML
+            : element.textContent;
+        TEMPLATE_CACHE.set(cacheKey, content);
 
-        return TEMPLATE_CACHE.get(cacheKey);
+        return content;
     }
 
     return templateConfig.value;
 }
 
-function processTemplate(template, data) {
-    let result = template;
+function processTemplate(template, data, name = 'inline template', locale = null) {
+    const compiled = loadTemplate(template, name);
+    const scope = createScope(data);
+    scope.locale = locale || null;
+
+    return runTemplate(compiled.render, { name, source: compiled.source }, scope);
+}
 
-    result = processConditionals(result, data);
-    result = processBlocks(result, data);
-    result = processInterpolations(result, data);
+// The nearest hz-locale wins, then htmz.config.locale, then <html lang>
+function getElementLocale(element) {
+    if (typeof document === 'undefined') return null;
 
-    return result;
+    // Continues past shadow roots to the host's ancestors
+    let node = element || document.documentElement;
+    while (node) {
+        const localized = node.closest('[hz-locale]');
+        if (localized) {
+            return localized.getAttribute('hz-locale');
+        }
+
+        const root = node.getRootNode();
+        node = root !== node && root.host ? root.host : null;
+    }
+
+    return getTemplateConfig().locale || document.documentElement.lang || null;
 }
 
-function processInterpolations(template, data) {
-    return template.replace(INTERPOLATION_REGEX, (match, expression) => {
-        const value = evaluateExpression(expression.trim(), data);
-        return escapeHtml(value);
-    });
+function loadTemplate(template, name) {
+    if (isPrecompiledTemplate(template)) {
+        return template;
+    }
+
+    return { render: compileTemplate(template, name), source: template };
+}
+
+function compileTemplate(source, name = 'inline template') {
+    // With allowEval off only templates built by "htmz compile" may render
+    if (getTemplateConfig().allowEval === false) {
+        const error = createTemplateError(`Template ${name} was not precompiled and allowEval is false`);
+        error.template = name;
+        throw error;
+    }
+
+    let compiled = COMPILED_TEMPLATES.get(source);
+
+    if (compiled) {
+        // Moved to the end so dynamic one-off sources are evicted first
+        COMPILED_TEMPLATES.delete(source);
+    } else {
+        const ast = parseTemplateSource(source);
+        compiled = { render: compileNodes(ast.children), errors: ast.errors, reported: false };
+
+        if (COMPILED_TEMPLATES.size >= MAX_COMPILED_TEMPLATES) {
+            COMPILED_TEMPLATES.delete(COMPILED_TEMPLATES.keys().next().value);
+        }
+    }
+
+    COMPILED_TEMPLATES.set(source, compiled);
+
+    if (compiled.errors.length > 0) {
+        const template = { name, source };
+
+        if (isStrictTemplates()) {
+            const first = compiled.errors[0];
+            throw locateTemplateError(createTemplateError(first.message), template, first.position);
+        }
+
+        if (!compiled.reported) {
+            compiled.reported = true;
+            for (const diagnostic of compiled.errors) {
+                const error = locateTemplateError(createTemplateError(diagnostic.message), template, diagnostic.position);
+                console.warn(`htmz: ${error.message}`);
+            }
+        }
+    }
+
+    return compiled.render;
+}
+
+function runTemplate(render, template, scope) {
+    if (RENDER_STACK.length === 0) {
+        resetEscapeReport();
+    }
+
+    RENDER_STACK.push({ name: template.name, source: template.source, scope, data: scope.data });
+    try {
+        return render(scope);
+    } finally {
+        RENDER_STACK.pop();
+    }
+}
+
+function tokenizeTemplate(source) {
+    const tokens = [];
+    let position = 0;
+
+    while (position < source.length) {
+        const open = source.indexOf(TAG_OPEN, position);
+        if (open === -1) break;
+
+        const raw = source.startsWith(RAW_TAG_OPEN, open);
+        const contentStart = open + (raw ? RAW_TAG_OPEN.length : TAG_OPEN.length);
+        const close = findTagEnd(source, contentStart);
+        if (close === -1) break;
+
+        if (open > position) {
+            tokens.push({ type: 'text', value: source.substring(position, open), start: position });
+        }
+
+        const content = decodeTagEntities(source.substring(contentStart, close).trim());
+
+        if (raw && source[close + TAG_CLOSE.length] === '}') {
+            tokens.push({ type: 'raw', expression: content, start: open });
+            position = close + RAW_TAG_OPEN.length;
+        } else {
+            tokens.push(createTagToken(content, open));
+            position = close + TAG_CLOSE.length;
+        }
+    }
+
+    if (position < source.length) {
+        tokens.push({ type: 'text', value: source.substring(position), start: position });
+    }
+
+    return tokens;
+}
+
+// <template> innerHTML escapes "&", "<" and ">" inside tags such as
+// {{?a > b && c}}; decode them so the browser and Node see the same source
+function decodeTagEntities(content) {
+    if (!content.includes('&')) return content;
+
+    return content.replace(/&(?:amp|lt|gt|quot|#39|nbsp);/g, entity => TAG_ENTITIES[entity]);
+}
+
+function findTagEnd(source, from) {
+    let quote = null;
+
+    for (let i = from; i < source.length - 1; i++) {
+        const char = source[i];
+
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '}' && source[i + 1] === '}') {
+            return i;
+        }
+    }
+
+    // An unbalanced quote must not swallow the rest of the template
+    return source.indexOf(TAG_CLOSE, from);
+}
+
+function createTagToken(content, start) {
+    if (TRANSLATE_TAG_REGEX.test(content)) {
+        return { type: 'translate', content: content.substring(1).trim(), start };
+    }
+
+    if (content.startsWith('>')) {
+        const [name, context] = content.substring(1).trim().split(/\s+/);
+        return { type: 'partial', name, context: context || null, start };
+    }
+
+    if (content.startsWith('#')) {
+        return { type: 'open', name: content.substring(1).trim(), start };
+    }
+
+    if (content === '/?') {
+        return { type: 'closeIf', start };
+    }
+
+    if (content.startsWith('/')) {
+        return { type: 'close', name: content.substring(1).trim(), start };
+    }
+
+    if (content.startsWith('?')) {
+        return { type: 'if', condition: content.substring(1).trim(), start };
+    }
+
+    if (content.startsWith(':else?')) {
+        return { type: 'elseIf', condition: content.substring(6).trim(), start };
+    }
+
+    if (content === ':else') {
+        return { type: 'else', start };
+    }
+
+    if (content === ':empty') {
+        return { type: 'empty', start };
+    }
+
+    return { type: 'interpolation', expression: content, start };
 }
 
-function processBlocks(template, data) {
-    return template.replace(BLOCK_REGEX, (match, arrayName, blockTemplate) => {
-        let array;
+function parseTemplateSource(source) {
+    const root = { type: 'root', children: [], errors: [] };
+    const errors = root.errors;
+    const stack = [{ node: root, children: root.children }];
+    const htmlContext = createHtmlContext();
+
+    for (const token of tokenizeTemplate(source)) {
+        const frame = stack[stack.length - 1];
+
+        switch (token.type) {
+            case 'text':
+                frame.children.push({ type: 'text', value: token.value });
+                advanceHtmlContext(htmlContext, token.value);
+                break;
+
+            case 'interpolation':
+            case 'raw':
+                frame.children.push({
+                    type: token.type,
+                    expression: token.expression,
+                    tree: compileExpression(token.expression, token.start, errors),
+                    context: interpolationContext(htmlContext),
+                    start: token.start
+                });
+                break;
+
+            case 'partial':
+                frame.children.push({ type: 'partial', name: token.name, context: token.context, start: token.start });
+                break;
+
+            case 'translate':
+                frame.children.push({ ...parseTranslation(token, errors), context: interpolationContext(htmlContext) });
+                break;
+
+            case 'open': {
+                const node = { type: 'block', ...parseBlockName(token.name), children: [], empty: null, start: token.start };
+                frame.children.push(node);
+                stack.push({ node, children: node.children });
+                break;
+            }
+
+            case 'empty':
+                if (frame.node.type !== 'block' || frame.node.empty) {
+                    errors.push({ message: 'Unexpected {{:empty}} outside of a block', position: token.start });
+                    break;
+                }
+                frame.node.empty = [];
+                frame.children = frame.node.empty;
+                break;
 
-        // Check for tagged data first (e.g., "repos" could be a tag)
-        if (window.htmz && window.htmz.store && window.htmz.store.hasTaggedData(arrayName)) {
-            array = window.htmz.store.getTaggedData(arrayName);
-        } else if (arrayName.includes('.')) {
-            // Check for tagged nested array (e.g., "user1.repos")
-            const firstDot = arrayName.indexOf('.');
-            const possibleTag = arrayName.substring(0, firstDot);
+            case 'close':
+                closeTemplateNode(stack, node => node.type === 'block' && node.name === token.name, `{{/${token.name}}}`, token.start, errors);
+                break;
 
-            if (window.htmz && window.htmz.store && window.htmz.store.hasTaggedData(possibleTag)) {
-                const taggedData = window.htmz.store.getTaggedData(possibleTag);
-                if (taggedData) {
-                    const property = arrayName.substring(firstDot + 1);
-                    array = getNestedProperty(taggedData, property);
+            case 'if': {
+                const branch = { condition: token.condition, test: compileExpression(token.condition, token.start, errors), children: [] };
+                const node = { type: 'conditional', branches: [branch], start: token.start };
+                frame.children.push(node);
+                stack.push({ node, children: branch.children });
+                break;
+            }
+
+            case 'elseIf':
+            case 'else': {
+                const node = frame.node;
+                if (node.type !== 'conditional') {
+                    errors.push({ message: 'Unexpected {{:else}} outside of a conditional', position: token.start });
+                    break;
+                }
+                if (node.branches[node.branches.length - 1].condition === null) {
+                    const message = token.type === 'else' ? 'Duplicate {{:else}} in a conditional' : 'Unexpected {{:else?}} after {{:else}}';
+                    errors.push({ message, position: token.start });
+                    // Whatever follows up to {{/?}} belongs to no branch
+                    frame.children = [];
+                    break;
                 }
-            } else {
-                // Fall back to current response data
-                array = getNestedProperty(data, arrayName);
+                const branch = token.type === 'else'
+                    ? { condition: null, test: null, children: [] }
+                    : { condition: token.condition, test: compileExpression(token.condition, token.start, errors), children: [] };
+                node.branches.push(branch);
+                frame.children = branch.children;
+                break;
             }
+
+            case 'closeIf':
+                closeTemplateNode(stack, node => node.type === 'conditional', '{{/?}}', token.start, errors);
+                break;
+        }
+    }
+
+    for (let i = stack.length - 1; i > 0; i--) {
+        const node = stack[i].node;
+        errors.push({ message: `Unclosed ${describeTemplateNode(node)}`, position: node.start });
+    }
+
+    return root;
+}
+
+function compileExpression(source, position, errors) {
+    try {
+        return parseExpression(source);
+    } catch (e) {
+        // Fall back to a plain lookup so one bad expression doesn't break the page
+        errors.push({ message: e.message, position });
+        return { type: 'path', path: source };
+    }
+}
+
+// {{t "orders.count" count=items.length total=order.total | currency:"EUR"}}
+function parseTranslation(token, errors) {
+    const content = token.content;
+    const boundaries = [];
+    let quote = null;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
         } else {
-            // Fall back to current response data
-            array = getNestedProperty(data, arrayName);
+            TRANSLATE_PARAM_REGEX.lastIndex = i;
+            const match = TRANSLATE_PARAM_REGEX.exec(content);
+            if (match) {
+                boundaries.push({ index: i, name: match[1], valueStart: i + match[0].length });
+                i += match[0].length - 1;
+            }
+        }
+    }
+
+    const keyEnd = boundaries.length > 0 ? boundaries[0].index : content.length;
+    const params = boundaries.map((boundary, index) => ({
+        name: boundary.name,
+        tree: compileExpression(
+            content.substring(boundary.valueStart, index + 1 < boundaries.length ? boundaries[index + 1].index : content.length).trim(),
+            token.start,
+            errors
+        )
+    }));
+
+    return {
+        type: 'translate',
+        key: compileExpression(content.substring(0, keyEnd).trim(), token.start, errors),
+        params,
+        start: token.start
+    };
+}
+
+function closeTemplateNode(stack, matches, tag, position, errors) {
+    let index = stack.length - 1;
+    while (index > 0 && !matches(stack[index].node)) {
+        index--;
+    }
+
+    if (index === 0) {
+        errors.push({ message: `Unexpected ${tag}`, position });
+        return;
+    }
+
+    for (let i = stack.length - 1; i > index; i--) {
+        const node = stack[i].node;
+        errors.push({ message: `Unclosed ${describeTemplateNode(node)} before ${tag}`, position: node.start });
+    }
+
+    stack.length = index;
+}
+
+function parseBlockName(name) {
+    // {{#each rates}} / {{#each rates sorted}} close with {{/each}}
+    if (name.startsWith('each ')) {
+        const [path, order] = name.substring(5).trim().split(/\s+/);
+        return { name: 'each', path, order: order || null };
+    }
+
+    return { name, path: name, order: null };
+}
+
+function describeTemplateNode(node) {
+    return node.type === 'block' ? `block {{#${node.name}}}` : 'conditional {{?}}';
+}
+
+// Turn parsed nodes into render functions. Precompiled templates (see
+// "htmz compile") call the same builders, so both render identically.
+const TEMPLATE_BUILDERS = {
+    nodes: renderers => {
+        if (renderers.length === 1) {
+            return renderers[0];
         }
 
-        if (!isArray(array)) {
+        return scope => {
+            let html = '';
+            for (const render of renderers) {
+                html += render(scope);
+            }
+            return html;
+        };
+    },
+    text: value => () => value,
+    interpolation: node => withTemplateLocation(node, scope => renderInterpolation(node, scope)),
+    raw: node => withTemplateLocation(node, scope => renderRawHtml(node, scope)),
+    partial: node => withTemplateLocation(node, scope => renderPartial(node, scope)),
+    translate: node => withTemplateLocation(node, scope => renderTranslation(node, scope)),
+    block: (node, renderItem, renderEmpty) =>
+        withTemplateLocation(node, scope => renderBlock(node, scope, renderItem, renderEmpty)),
+    conditional: (node, branches) => withTemplateLocation(node, scope => renderConditional(branches, scope))
+};
+
+function compileNodes(nodes) {
+    return TEMPLATE_BUILDERS.nodes(nodes.map(compileNode));
+}
+
+function compileNode(node) {
+    switch (node.type) {
+        case 'text':
+            return TEMPLATE_BUILDERS.text(node.value);
+
+        case 'interpolation':
+        case 'raw':
+        case 'partial':
+        case 'translate':
+            return TEMPLATE_BUILDERS[node.type](node);
+
+        case 'block':
+            return TEMPLATE_BUILDERS.block(
+                node,
+                compileNodes(node.children),
+                node.empty ? compileNodes(node.empty) : null
+            );
+
+        case 'conditional':
+            return TEMPLATE_BUILDERS.conditional(node, node.branches.map(branch => ({
+                test: branch.test,
+                render: compileNodes(branch.children)
+            })));
+    }
+
+    return () => '';
+}
+
+function withTemplateLocation(node, render) {
+    return scope => {
+        try {
+            return render(scope);
+        } catch (error) {
+            throw locateTemplateError(error, RENDER_STACK[RENDER_STACK.length - 1], node.start);
+        }
+    };
+}
+
+function createScope(data, parent, loop) {
+    return {
+        data,
+        parent: parent || null,
+        root: parent ? parent.root : data,
+        loop: loop || null,
+        locale: parent ? parent.locale : null
+    };
+}
+
+function renderInterpolation(node, scope) {
+    return escapeForContext(evaluateExpressionTree(node.tree, scope), node.context, node);
+}
+
+function renderTranslation(node, scope) {
+    const params = {};
+
+    for (const param of node.params) {
+        params[param.name] = evaluateExpressionTree(param.tree, scope);
+    }
+
+    // Translations are text; markup in messages or values is escaped
+    const text = translate(evaluateExpressionTree(node.key, scope), params, getTemplateLocale());
+    return escapeForContext(text, node.context, node);
+}
+
+function renderRawHtml(node, scope) {
+    const html = evaluateExpressionTree(node.tree, scope);
+
+    // Markup only makes sense in text; anywhere else it is a plain value
+    if (node.context && node.context.type !== 'text') {
+        return escapeForContext(html, node.context, node);
+    }
+
+    return isSafeHtml(html) ? String(html) : sanitizeTemplateHtml(html);
+}
+
+function sanitizeTemplateHtml(html) {
+    if (html === null || html === undefined) return '';
+
+    const sanitizer = getTemplateConfig().sanitizer;
+
+    if (typeof sanitizer === 'function') {
+        return String(sanitizer(String(html)) ?? '');
+    }
+
+    // A plain object overrides parts of the default allowlist policy
+    return sanitizeHtml(html, isObject(sanitizer) ? sanitizer : undefined);
+}
+
+function markSafeHtml(html) {
+    return {
+        [SAFE_HTML]: true,
+        toString: () => html
+    };
+}
+
+function isSafeHtml(value) {
+    return value !== null && typeof value === 'object' && value[SAFE_HTML] === true;
+}
+
+function renderPartial(node, scope) {
+    let partialScope = scope;
+
+    if (node.context) {
+        const context = resolvePath(node.context, scope);
+        if (context === null || context === undefined) {
+            if (context === undefined && isStrictTemplates()) {
+                throw createTemplateError(`Missing value for partial context '${node.context}'`);
+            }
             return '';
         }
+        partialScope = createScope(context, scope);
+    }
 
-        return array
-            .map(item => processTemplate(blockTemplate, item))
-            .join('');
-    });
+    // The stack also holds the top-level template, which is not a partial
+    const maxDepth = getTemplateConfig().maxPartialDepth || MAX_PARTIAL_DEPTH;
+    if (RENDER_STACK.length > maxDepth) {
+        return templateFailure(`Partial ${node.name} exceeds the maximum depth of ${maxDepth}`);
+    }
+
+    // Recursing into the same partial is only allowed when the data moves
+    // forward (e.g. into a child comment); otherwise it would never end
+    const isRecursive = RENDER_STACK.some(entry => entry.name === node.name &&
+        (entry.scope === partialScope || (isObject(entry.data) && entry.data === partialScope.data)));
+    if (isRecursive) {
+        return templateFailure(`Recursive include of partial ${node.name} with the same data`);
+    }
+
+    const template = getTemplate({ type: 'selector', value: node.name });
+    if (template === null) {
+        return isStrictTemplates() ? templateFailure(`Partial ${node.name} not found`) : '';
+    }
+
+    const compiled = loadTemplate(template, node.name);
+    return runTemplate(compiled.render, { name: node.name, source: compiled.source }, partialScope);
+}
+
+function renderBlock(node, scope, renderItem, renderEmpty) {
+    const value = resolveBlockValue(node.path, scope);
+
+    if (value === undefined && !renderEmpty && isStrictTemplates()) {
+        throw createTemplateError(`Missing value for block '${node.path}'`);
+    }
+
+    if (isObject(value) && !isEmpty(value)) {
+        return renderObjectEntries(node, value, scope, renderItem);
+    }
+
+    if (!isArray(value) || value.length === 0) {
+        return renderEmpty && (value === undefined || isArray(value) || isObject(value)) ? renderEmpty(scope) : '';
+    }
+
+    const length = value.length;
+    let html = '';
+
+    for (let index = 0; index < length; index++) {
+        html += renderItem(createScope(value[index], scope, {
+            index,
+            key: index,
+            first: index === 0,
+            last: index === length - 1,
+            length
+        }));
+    }
+
+    return html;
+}
+
+function renderObjectEntries(node, object, scope, renderItem) {
+    const keys = Object.keys(object);
+    const order = node.order || getTemplateConfig().objectKeyOrder;
+
+    if (order === 'sorted') {
+        keys.sort((a, b) => a.localeCompare(b));
+    }
+
+    const length = keys.length;
+    let html = '';
+
+    for (let index = 0; index < length; index++) {
+        const key = keys[index];
+        html += renderItem(createScope({ key, value: object[key] }, scope, {
+            index,
+            key,
+            first: index === 0,
+            last: index === length - 1,
+            length
+        }));
+    }
+
+    return html;
+}
+
+function renderConditional(branches, scope) {
+    for (const branch of branches) {
+        // Conditions may test for optional fields, even in strict mode
+        if (branch.test === null || isTruthy(evaluateExpressionTree(branch.test, scope, true))) {
+            return branch.render(scope);
+        }
+    }
+
+    return '';
+}
+
+function registerTemplate(id, source) {
+    const key = toTemplateKey(id);
+    TEMPLATE_CACHE.set(key, String(source));
+    return key;
+}
+
+// Called by the file "htmz compile" generates; build receives TEMPLATE_BUILDERS
+function registerCompiledTemplate(id, build, source = '') {
+    const key = toTemplateKey(id);
+    TEMPLATE_CACHE.set(key, { render: build(TEMPLATE_BUILDERS), source, precompiled: true });
+    return key;
+}
+
+function toTemplateKey(id) {
+    return id.startsWith('#') ? id : `#${id}`;
+}
+
+function isPrecompiledTemplate(template) {
+    return template !== null && typeof template === 'object' && template.precompiled === true;
+}
+
+function loadTemplates(html) {
+    return extractTemplates(html).map(template => registerTemplate(template.id, template.source));
 }
 
-function processConditionals(template, data) {
-    return template.replace(CONDITIONAL_REGEX, (match, condition, content) => {
-        const result = evaluateCondition(condition.trim(), data);
-        return result ? processTemplate(content, data) : '';
+function extractTemplates(html) {
+    const templates = [];
+    let match;
+
+    TEMPLATE_ELEMENT_REGEX.lastIndex = 0;
+
+    while ((match = TEMPLATE_ELEMENT_REGEX.exec(html)) !== null) {
+        const idMatch = match[1].match(TEMPLATE_ID_REGEX);
+        if (idMatch) {
+            templates.push({ id: toTemplateKey(idMatch[1] ?? idMatch[2] ?? idMatch[3]), source: match[2] });
+        }
+    }
+
+    return templates;
+}
+
+function isStrictTemplates() {
+    const config = getTemplateConfig();
+    // Precompiled-only deployments fail closed rather than render around errors
+    return config.strictTemplates === true || config.allowEval === false;
+}
+
+// Throws in strict mode; otherwise warns and renders nothing for the tag
+function templateFailure(message) {
+    if (isStrictTemplates()) {
+        throw createTemplateError(message);
+    }
+
+    console.warn(`htmz: ${message}`);
+    return '';
+}
+
+function createTemplateError(message) {
+    const error = new Error(message);
+    error.name = 'TemplateError';
+    return error;
+}
+
+function locateTemplateError(error, template, position) {
+    if (error.name !== 'TemplateError' || error.template || !template) {
+        return error;
+    }
+
+    const { line, column } = getTemplatePosition(template.source, position);
+
+    error.template = template.name;
+    error.line = line;
+    error.column = column;
+    error.snippet = buildTemplateSnippet(template.source, line, column);
+    error.message = `${error.message} in template ${template.name} at line ${line}, column ${column}`;
+
+    return error;
+}
+
+function getTemplatePosition(source, position) {
+    const before = source.substring(0, position).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+function buildTemplateSnippet(source, line, column) {
+    const lines = source.split('\n');
+    const first = Math.max(1, line - 2);
+    const last = Math.min(lines.length, line + 2);
+    const width = String(last).length;
+    const snippet = [];
+
+    for (let number = first; number <= last; number++) {
+        const marker = number === line ? '>' : ' ';
+        snippet.push(`${marker} ${String(number).padStart(width)} | ${lines[number - 1]}`);
+
+        if (number === line) {
+            snippet.push(`  ${' '.repeat(width)} | ${' '.repeat(column - 1)}^`);
+        }
+    }
+
+    return snippet.join('\n');
+}
+
+function reportTemplateError(error, element) {
+    if (typeof document === 'undefined' || typeof triggerCustomEvent !== 'function') return;
+
+    const target = element && element.isConnected ? element : document;
+    triggerCustomEvent(target, 'hz:templateError', {
+        error,
+        template: error.template,
+        line: error.line,
+        column: error.column,
+        snippet: error.snippet
     });
 }
 
-function evaluateExpression(expression, data) {
-    try {
+function reportEscapedValues(values, name, element) {
+    if (values.length === 0) return;
+
+    for (const value of values) {
+        const where = value.attribute ? `${value.attribute} attribute` : value.context;
+        console.warn(`htmz: Neutralized ${value.reason} in ${where} of template ${value.template} at line ${value.line}: ${value.value}`);
+    }
+
+    if (typeof document !== 'undefined' && typeof triggerCustomEvent === 'function') {
+        const target = element && element.isConnected ? element : document;
+        triggerCustomEvent(target, 'hz:neutralized', { template: name, values: values.slice() });
+    }
+}
+
+function getTemplateConfig() {
+    if (typeof window === 'undefined' || !window.htmz || !window.htmz.config) {
+        return STANDALONE_TEMPLATE_CONFIG;
+    }
+
+    return window.htmz.config;
+}
+
+function getTemplateStore() {
+    if (typeof window === 'undefined' || !window.htmz || !window.htmz.store) {
+        return null;
+    }
+
+    return window.htmz.store;
+}
+
+function resolveBlockValue(path, scope) {
+    // Check for tagged data first (e.g., "repos" could be a tag)
+    const store = getTemplateStore();
+    if (store && store.hasTaggedData(path)) {
+        return store.getTaggedData(path);
+    }
+
+    return resolvePath(path, scope);
+}
+
+function resolvePath(path, scope) {
+    // "../" steps out of the current loop item into the enclosing context
+    while (path.startsWith('../')) {
+        scope = scope.parent || scope;
+        path = path.substring(3);
+    }
+
+    if (path === '..') {
+        return (scope.parent || scope).data;
+    }
+
+    if (path === '.' || path === 'this') {
+        return scope.data;
+    }
+
+    if (path.startsWith('this.')) {
+        return getNestedProperty(scope.data, path.substring(5));
+    }
+
+    if (path.startsWith('@')) {
+        return resolveSpecialPath(path, scope);
+    }
+
+    const data = scope.data;
+
+    if (path.includes('.')) {
         // Check for tagged data first (e.g., "user1.name")
-        if (expression.includes('.')) {
-            const firstDot = expression.indexOf('.');
-            const possibleTag = expression.substring(0, firstDot);
-
-            // Check if this looks like a tag reference and we have the store available
-            if (window.htmz && window.htmz.store && window.htmz.store.hasTaggedData(possibleTag)) {
-                const taggedData = window.htmz.store.getTaggedData(possibleTag);
-                if (taggedData) {
-                    const property = expression.substring(firstDot + 1);
-                    return getNestedProperty(taggedData, property) ?? '';
-                }
+        const firstDot = path.indexOf('.');
+        const possibleTag = path.substring(0, firstDot);
+        const store = getTemplateStore();
+
+        if (store && store.hasTaggedData(possibleTag)) {
+            const taggedData = store.getTaggedData(possibleTag);
+            if (taggedData) {
+                return getNestedProperty(taggedData, path.substring(firstDot + 1));
             }
+        }
 
-            // Fall back to current response data (backward compatible)
-            return getNestedProperty(data, expression) ?? '';
+        // Fall back to current response data (backward compatible)
+        return getNestedProperty(data, path);
+    }
+
+    return data === null || data === undefined ? undefined : data[path];
+}
+
+function resolveSpecialPath(path, scope) {
+    const firstDot = path.indexOf('.');
+    const name = firstDot === -1 ? path.substring(1) : path.substring(1, firstDot);
+    const rest = firstDot === -1 ? null : path.substring(firstDot + 1);
+
+    let value;
+    if (name === 'root') {
+        value = scope.root;
+    } else {
+        let loopScope = scope;
+        while (loopScope && !loopScope.loop) {
+            loopScope = loopScope.parent;
         }
+        value = loopScope ? loopScope.loop[name] : undefined;
+    }
+
+    return rest ? getNestedProperty(value, rest) : value;
+}
 
-        return data[expression] ?? '';
+function evaluateExpression(expression, scope, optional) {
+    let value;
+
+    try {
+        value = resolvePath(expression, scope);
     } catch (e) {
         console.warn(`htmz: Error evaluating expression '${expression}':`, e);
         return '';
     }
+
+    if (value === undefined && !optional && isStrictTemplates()) {
+        throw createTemplateError(`Missing value for '${expression}'`);
+    }
+
+    return value ?? '';
 }
 
-function evaluateCondition(condition, data) {
-    try {
-        const operators = ['===', '!==', '==', '!=', '>=', '<=', '>', '<'];
-
-        for (const op of operators) {
-            if (condition.includes(op)) {
-                const [left, right] = condition.split(op).map(s => s.trim());
-                const leftValue = evaluateExpression(left, data);
-                const rightValue = parseValue(right, data);
-
-                switch (op) {
-                    case '===': return leftValue === rightValue;
-                    case '!==': return leftValue !== rightValue;
-                    case '==': return leftValue == rightValue;
-                    case '!=': return leftValue != rightValue;
-                    case '>=': return leftValue >= rightValue;
-                    case '<=': return leftValue <= rightValue;
-                    case '>': return leftValue > rightValue;
-                    case '<': return leftValue < rightValue;
-                }
-            }
-        }
+function applyFilter(name, value, args) {
+    const filterFn = TEMPLATE_FILTERS.get(name);
+    if (!filterFn) {
+        templateFailure(`Unknown template filter '${name}'`);
+        return value;
+    }
 
-        const value = evaluateExpression(condition, data);
-        return isTruthy(value);
+    try {
+        return filterFn(value, ...args);
     } catch (e) {
-        console.warn(`htmz: Error evaluating condition '${condition}':`, e);
-        return false;
+        templateFailure(`Error applying filter '${name}': ${e.message}`);
+        return value;
     }
 }
 
-function parseValue(value, data) {
-    value = value.trim();
+function registerFilter(name, fn) {
+    if (!isString(name) || !FILTER_NAME_REGEX.test(name)) {
+        throw new Error(`htmz: Invalid filter name '${name}'`);
+    }
 
-    if (value.startsWith('"') && value.endsWith('"')) {
-        return value.slice(1, -1);
+    if (typeof fn !== 'function') {
+        throw new Error(`htmz: Filter '${name}' must be a function`);
     }
 
-    if (value.startsWith("'") && value.endsWith("'")) {
-        return value.slice(1, -1);
+    TEMPLATE_FILTERS.set(name, fn);
+}
+
+function formatNumber(value, options, locale = getTemplateLocale()) {
+    const number = Number(value);
+    if (value === '' || value === null || isNaN(number)) return value;
+
+    return getIntlFormat(NUMBER_FORMATS, Intl.NumberFormat, locale, options).format(number);
+}
+
+function formatDate(value, format, locale = getTemplateLocale()) {
+    if (value === '' || value === null || value === undefined) return value;
+
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) return value;
+
+    switch (format) {
+        case 'iso':
+            return date.toISOString();
+        case 'time':
+            return getIntlFormat(DATE_FORMATS, Intl.DateTimeFormat, locale, { timeStyle: 'short' }).format(date);
+        case 'datetime':
+            return getIntlFormat(DATE_FORMATS, Intl.DateTimeFormat, locale, { dateStyle: 'medium', timeStyle: 'short' }).format(date);
+        case 'short':
+        case 'medium':
+        case 'long':
+        case 'full':
+            return getIntlFormat(DATE_FORMATS, Intl.DateTimeFormat, locale, { dateStyle: format }).format(date);
+        default:
+            console.warn(`htmz: Unknown date format '${format}'`);
+            return getIntlFormat(DATE_FORMATS, Intl.DateTimeFormat, locale, {}).format(date);
     }
+}
 
-    if (value === 'true') return true;
-    if (value === 'false') return false;
-    if (value === 'null') return null;
-    if (value === 'undefined') return undefined;
+// Building an Intl formatter is far slower than using one, and list
+// templates format the same way for every row
+function getIntlFormat(cache, Format, locale, options) {
+    const key = `${locale || ''}|${JSON.stringify(options || {})}`;
+    let format = cache.get(key);
 
-    const numValue = Number(value);
-    if (!isNaN(numValue)) {
-        return numValue;
+    if (!format) {
+        format = new Format(locale, options);
+        cache.set(key, format);
     }
 
-    return evaluateExpression(value, data);
+    return format;
 }
 
 function isTruthy(value) {
@@ -203,6 +1042,7 @@ function isTruthy(value) {
 
 function escapeHtml(value) {
     if (value === null || value === undefined) return '';
+    if (isSafeHtml(value)) return String(value);
 
     return String(value)
         .replace(/&/g, '&amp;')
@@ -213,54 +1053,21 @@ function escapeHtml(value) {
 }
 
 function clearTemplateCache() {
-    TEMPLATE_CACHE.clear();
-}
-
-function precompileTemplate(templateStr) {
-    const compiled = {
-        interpolations: [],
-        blocks: [],
-        conditionals: []
-    };
-
-    let match;
-    while ((match = INTERPOLATION_REGEX.exec(templateStr)) !== null) {
-        compiled.interpolations.push({
-            expression: match[1].trim(),
-            index: match.index,
-            length: match[0].length
-        });
-    }
-
-    INTERPOLATION_REGEX.lastIndex = 0;
-
-    while ((match = BLOCK_REGEX.exec(templateStr)) !== null) {
-        compiled.blocks.push({
-            arrayName: match[1],
-            template: match[2],
-            index: match.index,
-            length: match[0].length
-        });
-    }
-
-    BLOCK_REGEX.lastIndex = 0;
-
-    while ((match = CONDITIONAL_REGEX.exec(templateStr)) !== null) {
-        compiled.conditionals.push({
-            condition: match[1].trim(),
-            content: match[2],
-            index: match.index,
-            length: match[0].length
-        });
+    // Precompiled templates have no DOM element to be re-read from
+    for (const [key, template] of TEMPLATE_CACHE) {
+        if (!isPrecompiledTemplate(template)) {
+            TEMPLATE_CACHE.delete(key);
+        }
     }
-
-    CONDITIONAL_REGEX.lastIndex = 0;
-
-    return compiled;
+    COMPILED_TEMPLATES.clear();
 }
 
-function processOutOfBandSwaps(data) {
-    if (!data || typeof data !== 'object') return;
+// Out-of-band swaps come from the response, so they're sanitized as the
+// requesting element says, templates they name included
+function processOutOfBandSwaps(data, element = null) {
+    if (!data || typeof data !== 'object' || typeof document === 'undefined') return;
+
+    const sanitizeSource = element || document.body;
 
     for (const key in data) {
         if (key.startsWith('_oob_') || key.startsWith('_')) {
@@ -271,28 +1078,44 @@ function processOutOfBandSwaps(data) {
                 const targets = document.querySelectorAll(selector);
                 targets.forEach(target => {
                     const parser = new DOMParser();
-                    const doc = parser.parseFromString(content, 'text/html');
+                    const doc = parser.parseFromString(toTrustedHTML(content), 'text/html');
                     const swapElement = doc.body.firstElementChild;
 
                     if (swapElement) {
                         const swapStrategy = swapElement.getAttribute('hz-swap-oob') || 'innerHTML';
-                        const swapConfig = { strategy: swapStrategy };
+                        const swapConfig = { strategy: swapStrategy, sanitizeSource };
 
                         swapElement.removeAttribute('hz-swap-oob');
                         const html = swapElement.outerHTML;
 
                         updateDOM(selector, html, swapConfig, document.body);
                     } else {
-                        updateDOM(selector, content, { strategy: 'innerHTML' }, document.body);
+                        updateDOM(selector, content, { strategy: 'innerHTML', sanitizeSource }, document.body);
                     }
                 });
             } else if (typeof content === 'object' && content.template) {
+                // Only a <template> will do, as getTemplate would read any
+                // other element's text, escaped page content, as markup
+                if (!isTemplateElement(content.template)) {
+                    console.warn(`htmz: Out-of-band template ${content.template} is not a <template> element`);
+                    continue;
+                }
+
                 const template = { type: 'selector', value: content.template };
-                const html = renderTemplate(template, content.data || content);
-                const swapConfig = { strategy: content.swap || 'innerHTML' };
+                const html = renderTemplate(template, content.data || content, element);
+                const swapConfig = { strategy: content.swap || 'innerHTML', sanitizeSource };
 
                 updateDOM(selector, html, swapConfig, document.body);
             }
         }
     }
+}
+
+function isTemplateElement(selector) {
+    try {
+        const element = document.querySelector(selector);
+        return !!element && element.tagName === 'TEMPLATE';
+    } catch (e) {
+        return false;
+    }
 }
\ No newline at end of file
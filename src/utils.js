@@ -46,21 +46,29 @@ function getNestedProperty(obj, path) {
 
 function debounce(func, delay) {
     let timeoutId;
-    return function(...args) {
+    const debounced = function(...args) {
         clearTimeout(timeoutId);
         timeoutId = setTimeout(() => func.apply(this, args), delay);
     };
+    debounced.cancel = () => clearTimeout(timeoutId);
+    return debounced;
 }
 
 function throttle(func, limit) {
     let inThrottle;
-    return function(...args) {
+    let timeoutId;
+    const throttled = function(...args) {
         if (!inThrottle) {
             func.apply(this, args);
             inThrottle = true;
-            setTimeout(() => inThrottle = false, limit);
+            timeoutId = setTimeout(() => inThrottle = false, limit);
         }
     };
+    throttled.cancel = () => {
+        clearTimeout(timeoutId);
+        inThrottle = false;
+    };
+    return throttled;
 }
 
 function parseDelay(delayStr) {
@@ -0,0 +1,836 @@
+#!/usr/bin/env node
+/*
+ * dom-test.js - Test suite for htmz swapping, morphing and page behavior
+ * Copyright (C) 2025 William Theesfeld <william@theesfeld.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ */
+
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+
+const BUNDLE_PATH = path.join(__dirname, '..', 'dist', 'htmz.js');
+
+// Colors for output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const BLUE = '\x1b[34m';
+const RESET = '\x1b[0m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+let JSDOM;
+let bundle;
+
+function log(message) {
+    console.log(`[${new Date().toISOString()}] ${message}`);
+}
+
+function pass(test) {
+    testsPassed++;
+    log(`${GREEN}✓ ${test}${RESET}`);
+}
+
+function fail(test, error) {
+    testsFailed++;
+    log(`${RED}✗ ${test}${RESET}`);
+    if (error) {
+        log(`  Error: ${error.message || error}`);
+    }
+}
+
+function info(message) {
+    log(`${BLUE}ℹ ${message}${RESET}`);
+}
+
+function expect(test, actual, expected) {
+    if (actual === expected) {
+        pass(test);
+    } else {
+        fail(test, new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`));
+    }
+}
+
+function wait(ms = 0) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// A page running dist/htmz.js, with the proxy off unless options.proxy is
+// set. responses maps a URL to its body, or is a function of the URL;
+// strings are served as HTML and anything else as JSON.
+// options.fetchDelay keeps requests pending that long (forever if Infinity),
+// and may be a function of the URL.
+async function createPage(body, responses = {}, options = {}) {
+    const dom = new JSDOM(`<!DOCTYPE html><html><head>${options.head || ''}</head><body>${body}</body></html>`, {
+        url: 'http://localhost/',
+        runScripts: options.runScripts || 'outside-only',
+        pretendToBeVisual: true
+    });
+    const window = dom.window;
+    const requests = [];
+
+    window.fetch = (url, init = {}) => {
+        requests.push(url);
+
+        const delay = typeof options.fetchDelay === 'function' ? options.fetchDelay(url) : options.fetchDelay;
+
+        return new Promise((resolve, reject) => {
+            const respond = () => {
+                const data = typeof responses === 'function' ? responses(url) : responses[url];
+                const type = typeof data === 'string' ? 'text/html' : 'application/json';
+                resolve({
+                    ok: true,
+                    status: 200,
+                    headers: { get: () => type },
+                    json: async () => data,
+                    text: async () => typeof data === 'string' ? data : JSON.stringify(data)
+                });
+            };
+
+            if (init.signal && init.signal.aborted) {
+                reject(new window.DOMException('Aborted', 'AbortError'));
+            } else if (delay) {
+                const timer = delay === Infinity ? null : setTimeout(respond, delay);
+                if (init.signal) {
+                    init.signal.addEventListener('abort', () => {
+                        clearTimeout(timer);
+                        reject(new window.DOMException('Aborted', 'AbortError'));
+                    });
+                }
+            } else {
+                respond();
+            }
+        });
+    };
+
+    if (options.before) {
+        options.before(window);
+    }
+
+    window.eval(bundle);
+    if (!options.proxy) {
+        window.htmz.proxy.configure({ enabled: false });
+    }
+    await wait(5);
+
+    return { dom, window, document: window.document, htmz: window.htmz, requests };
+}
+
+async function testKeyedMorphing() {
+    info('Testing keyed morphing...');
+
+    let data = { items: [{ id: 1, n: 'a' }, { id: 2, n: 'b' }, { id: 3, n: 'c' }] };
+    const page = await createPage(`
+        <template id="rows">{{#items}}<tr hz-key="{{id}}"><td>{{n}}</td><td><input name="i{{id}}"></td></tr>{{/items}}</template>
+        <template id="notes">{{#items}}<p>{{n}}</p>{{/items}}</template>
+        <table><tbody id="rows-target" hz-get="/rows" hz-template="#rows" hz-trigger="click"></tbody></table>
+        <div id="notes-target" hz-get="/rows" hz-template="#notes" hz-trigger="click"></div>`, () => data);
+    const { document } = page;
+    const tbody = document.getElementById('rows-target');
+
+    tbody.click();
+    await wait(20);
+    expect('Keyed rows render', tbody.querySelectorAll('tr').length, 3);
+
+    const row = tbody.querySelector('[hz-key="2"]');
+    const input = row.querySelector('input');
+    input.focus();
+    input.value = 'typed';
+
+    data = { items: [{ id: 3, n: 'C' }, { id: 2, n: 'B' }, { id: 4, n: 'd' }] };
+    tbody.click();
+    await wait(20);
+
+    expect('Keyed rows follow the new order',
+        Array.from(tbody.querySelectorAll('tr')).map(tr => tr.getAttribute('hz-key')).join(','), '3,2,4');
+    expect('A kept row is the same element', tbody.querySelector('[hz-key="2"]'), row);
+    expect('A kept row is updated', row.querySelector('td').textContent, 'B');
+    expect('Focus and typed input survive the morph',
+        document.activeElement === input && input.value === 'typed', true);
+
+    // Text that only mentions the attribute is not keyed content
+    const notes = document.getElementById('notes-target');
+    data = { items: [{ n: 'old' }] };
+    notes.click();
+    await wait(20);
+    const old = notes.firstChild;
+
+    data = { items: [{ n: 'set hz-key="1" on rows' }] };
+    notes.click();
+    await wait(20);
+
+    expect('Text mentioning hz-key replaces instead of morphing', notes.firstChild !== old, true);
+    expect('Text mentioning hz-key is swapped in', notes.textContent, 'set hz-key="1" on rows');
+
+    page.window.close();
+}
+
+async function testMorphFocus() {
+    info('Testing focus and form state across morphs...');
+
+    const page = await createPage(`
+        <div id="box"><p id="a">A</p><p id="b">B</p><form id="f"><input id="q" name="q" value="x"><input id="n" name="n" value="1"></form></div>
+        <section id="card" hz-key="c1"><h2>Old</h2></section>`);
+    const { document, htmz } = page;
+    const a = document.getElementById('a');
+    const q = document.getElementById('q');
+
+    q.focus();
+    q.value = 'typing';
+    q.setSelectionRange(2, 4);
+
+    htmz.swap('#box', '<p id="new">N</p><p id="b">B2</p><p id="a">A2</p><form id="f"><input id="q" name="q" value="server"><input id="n" name="n" value="2"></form>', 'morph');
+
+    expect('Morphing reorders elements matched by id',
+        Array.from(document.getElementById('box').children).map(element => element.id).join(','), 'new,b,a,f');
+    expect('Matched elements are kept and updated', document.getElementById('a') === a && a.textContent === 'A2', true);
+    expect('The focused input keeps focus, value and selection',
+        `${document.activeElement === q}|${q.value}|${q.selectionStart}-${q.selectionEnd}`, 'true|typing|2-4');
+    expect('Other inputs take the new value', document.getElementById('n').value, '2');
+
+    htmz.swap('#box', '<form id="f"><input id="q" name="q" value="server"></form><p id="a">A3</p>', 'morph');
+    expect('Focus survives moving the focused element', document.activeElement === q && q.value === 'typing', true);
+
+    const card = document.getElementById('card');
+    htmz.swap('#card', '<section id="card" hz-key="c1" class="open"><h2>New</h2></section>', 'outerMorph');
+    expect('outerMorph keeps the target element', document.getElementById('card'), card);
+    expect('outerMorph updates the target attributes', card.classList.contains('open'), true);
+    expect('outerMorph updates the target content', card.querySelector('h2').textContent, 'New');
+
+    page.window.close();
+}
+
+async function testPreserve() {
+    info('Testing hz-preserve...');
+
+    const page = await createPage(`
+        <template id="empty"></template>
+        <div id="box"><p>old</p><details id="details" hz-preserve open><summary>More</summary>Body</details><video id="video" hz-preserve></video></div>
+        <div id="oob">x<iframe id="frame" hz-preserve src="/embed"></iframe></div>
+        <button id="go" hz-get="/oob" hz-template="#empty" hz-target="#out">Go</button>
+        <div id="out"></div>`, {
+        '/oob': { '_oob_#oob': '<div>y<iframe id="frame" hz-preserve src="/other"></iframe></div>' }
+    });
+    const { document, htmz } = page;
+    const details = document.getElementById('details');
+    const video = document.getElementById('video');
+    const frame = document.getElementById('frame');
+    const placeholders = '<details id="details" hz-preserve></details><video id="video" hz-preserve></video>';
+
+    for (const strategy of ['innerHTML', 'morph']) {
+        htmz.swap('#box', `<h2>${strategy}</h2>${placeholders}`, strategy);
+        expect(`Preserved elements survive ${strategy} swaps`,
+            document.getElementById('details') === details && document.getElementById('video') === video, true);
+        expect(`Preserved elements keep their state across ${strategy} swaps`, details.open, true);
+        expect(`The new content is swapped in around preserved elements (${strategy})`,
+            document.querySelector('#box h2').textContent, strategy);
+    }
+
+    htmz.swap('#box', `<div id="box"><h2>outer</h2>${placeholders}</div>`, 'outerHTML');
+    expect('Preserved elements survive outerHTML swaps', document.getElementById('details'), details);
+    expect('Preserved elements are not duplicated', document.querySelectorAll('#details').length, 1);
+
+    document.getElementById('go').click();
+    await wait(20);
+    expect('Preserved elements survive out-of-band swaps', document.getElementById('frame'), frame);
+    expect('A preserved iframe keeps its src in out-of-band swaps', frame.getAttribute('src'), '/embed');
+
+    htmz.swap('#box', '<p>gone</p>', 'innerHTML');
+    expect('Preserved elements without a placeholder are dropped', details.isConnected || video.isConnected, false);
+
+    page.window.close();
+}
+
+async function testSanitizing() {
+    info('Testing sanitizing of swapped HTML...');
+
+    const policies = {};
+    const page = await createPage(`
+        <template id="card"><button onclick="pick('{{name}}')">{{name}}</button><style>.card { color: red; }</style><iframe src="/embed"></iframe></template>
+        <div id="card-target" hz-get="/card" hz-template="#card" hz-trigger="click"></div>
+        <div id="html-target" hz-get="/html" hz-select="main" hz-trigger="click"></div>
+        <div id="player-target" hz-get="/player" hz-select="main" hz-trigger="click"><iframe id="player" hz-preserve src="/video"></iframe></div>
+        <div id="other-target" hz-get="/other" hz-select="main" hz-trigger="click"></div>`, {
+        '/card': { name: 'Ada' },
+        '/html': '<main><p onclick="steal()">hi</p><template><img src=x onerror=alert(1)></template><div hz-template="<img src=x onerror=alert(1)>">x</div><iframe src="/evil"></iframe></main>',
+        '/player': '<main><h2>Now playing</h2><iframe id="player" hz-preserve></iframe></main>',
+        '/other': '<main><iframe id="ad" hz-preserve src="/evil"></iframe></main>'
+    }, {
+        before: window => {
+            window.trustedTypes = {
+                createPolicy: (name, rules) => (policies[name] = rules)
+            };
+        }
+    });
+    const { document, window } = page;
+
+    const card = document.getElementById('card-target');
+    card.click();
+    await wait(20);
+    expect('Rendered templates keep their handlers', card.querySelector('button').getAttribute('onclick'), "pick('Ada')");
+    expect('Rendered templates keep <style> and <iframe>', !!card.querySelector('style') && !!card.querySelector('iframe'), true);
+
+    const html = document.getElementById('html-target');
+    html.click();
+    await wait(20);
+    expect('HTML responses lose on* handlers', html.querySelector('p').hasAttribute('onclick'), false);
+    expect('HTML responses lose <template> elements', html.querySelector('template'), null);
+    expect('HTML responses lose inline hz-template markup', html.querySelector('div').hasAttribute('hz-template'), false);
+    expect('HTML responses lose iframes', html.querySelector('iframe'), null);
+
+    const player = document.getElementById('player');
+    document.getElementById('player-target').click();
+    await wait(20);
+    expect('A preserved iframe survives basic sanitizing', document.getElementById('player'), player);
+    expect('A preserved iframe keeps its src', player.getAttribute('src'), '/video');
+
+    const other = document.getElementById('other-target');
+    other.click();
+    await wait(20);
+    expect('Placeholders for elements the page lacks are sanitized', other.querySelector('iframe'), null);
+
+    await testOutOfBandSanitizing();
+
+    const policy = policies.htmz;
+    expect('The htmz Trusted Types policy is created', typeof policy, 'object');
+    expect('The policy sanitizes HTML htmz did not vet',
+        policy.createHTML('<img src="x" onerror="alert(1)">'), '<img src="x">');
+    expect('The policy refuses scripts while scripts is none', policy.createScript('alert(1)'), null);
+    expect('The policy refuses script URLs while scripts is none', policy.createScriptURL('/evil.js'), null);
+
+    expect('Internal helpers are not page globals',
+        ['toTrustedHTML', 'getTrustedTypesPolicy', 'sanitizeHtml', 'updateDOM'].filter(name => name in window).join(','), '');
+
+    page.window.close();
+}
+
+async function testOutOfBandSanitizing() {
+    const page = await createPage(`
+        <template id="card"><b>{{name}}</b></template>
+        <template id="oob-card"><button onclick="pick('{{name}}')">{{name}}</button></template>
+        <p id="comment">&lt;img src=x onerror=alert(1)&gt;</p>
+        <div id="side"></div><div id="out"></div><div id="oob-out"></div><div id="form-box"></div>
+        <div id="strict" hz-get="/page" hz-select="main" hz-select-oob="#form-box" hz-sanitize="strict" hz-trigger="click"></div>
+        <div id="off" hz-get="/side" hz-template="#card" hz-sanitize="off" hz-trigger="click"></div>
+        <div id="forged" hz-get="/forged" hz-template="#card" hz-trigger="click"></div>`, {
+        '/page': '<main>Page</main><div id="form-box"><form action="/y"><input name="b"></form>kept</div>',
+        '/side': { name: 'Ada', '_#side': '<div><iframe src="/embed"></iframe></div>' },
+        '/forged': { name: 'Ada', '_#out': { template: '#comment' }, '_#oob-out': { template: '#oob-card', data: { name: 'Ada' } } }
+    });
+    const { document, window } = page;
+    const warnings = [];
+    window.console.warn = (...args) => warnings.push(args.join(' '));
+
+    document.getElementById('strict').click();
+    await wait(100);
+    expect('Out-of-band fragments follow a strict requester', document.getElementById('form-box').innerHTML, 'kept');
+
+    document.getElementById('off').click();
+    await wait(20);
+    expect('Out-of-band strings follow an off requester', !!document.querySelector('#side iframe'), true);
+
+    document.getElementById('forged').click();
+    await wait(20);
+    expect('Out-of-band templates must be <template> elements', document.getElementById('out').innerHTML, '');
+    expect('Non-template out-of-band templates warn', warnings.some(warning => warning.includes('#comment is not a <template>')), true);
+    expect('Templates a response names are sanitized', document.querySelector('#oob-out button').hasAttribute('onclick'), false);
+
+    page.window.close();
+}
+
+async function testScripts() {
+    info('Testing scripts in swapped HTML...');
+
+    const script = (name, nonce) => `<script${nonce ? ` nonce="${nonce}"` : ''}>log.push('${name}')</script>`;
+    const run = async (scripts, sanitize) => {
+        const page = await createPage('<div id="box"><script>log.push(\'old\')</script></div><p id="line">x</p>', {}, {
+            runScripts: 'dangerously',
+            head: '<script nonce="N1">window.log = []</script>'
+        });
+        const { window, htmz } = page;
+        const executed = [];
+
+        htmz.configure({ scripts, sanitize });
+        window.log.length = 0;
+        window.document.addEventListener('hz:scriptExecuted', () => executed.push(window.log.length));
+
+        htmz.swap('#box', `<i>1</i>${script('first', 'N1')}${script('plain')}${script('forged', 'N2')}<b>${script('nested', 'N1')}</b>`, 'beforeend');
+        htmz.swap('#line', `<p id="line">${script('outer', 'N1')}</p>`, 'outerHTML');
+
+        const result = { log: window.log.join(','), executed: executed.length, left: window.document.querySelectorAll('#box script').length };
+        window.close();
+        return result;
+    };
+
+    let result = await run('none', 'basic');
+    expect('No swapped script runs by default', result.log, '');
+    expect('Basic sanitizing removes scripts by default', result.left, 1);
+
+    result = await run('nonce', 'basic');
+    expect('Only scripts with the page nonce run, in document order', result.log, 'first,nested,outer');
+    expect('hz:scriptExecuted fires for each script that runs', result.executed, 3);
+    expect('Scripts already on the page are not run again', result.log.includes('old'), false);
+
+    result = await run('all', 'basic');
+    expect('Every script runs when scripts is all', result.log, 'first,plain,forged,nested,outer');
+
+    result = await run('all', 'strict');
+    expect('Strict sanitizing always removes scripts', result.log, '');
+}
+
+async function testTransitions() {
+    info('Testing transitions...');
+
+    const body = `
+        <template id="text">{{text}}</template>
+        <button id="go" hz-get="/text" hz-template="#text" hz-target="#box" hz-swap="innerHTML transition:slide">Go</button>
+        <button id="plain" hz-get="/text" hz-template="#text" hz-target="#box" hz-swap="innerHTML transition">Go</button>
+        <button id="go-styled" hz-get="/text" hz-template="#text" hz-target="#styled" hz-swap="innerHTML transition:slide">Go</button>
+        <div id="box">old</div>
+        <div id="styled" class="card" style="color: red;">old</div>`;
+    const responses = { '/text': { text: 'new' } };
+
+    // Fallback fade without the View Transitions API
+    let page = await createPage(body, responses);
+    let { document } = page;
+    let box = document.getElementById('box');
+    const events = [];
+
+    document.addEventListener('hz:beforeTransition', event => events.push(`before:${event.detail.name}`));
+    document.addEventListener('hz:afterTransition', event => events.push(`after:${event.detail.name}`));
+
+    document.getElementById('go').click();
+    await wait(5);
+    expect('The fallback fades the target out first', `${box.style.opacity}|${box.classList.contains('hz-transition-slide')}`, '0|true');
+
+    await wait(250);
+    expect('The fallback swaps the content', box.textContent, 'new');
+    expect('hz:beforeTransition and hz:afterTransition fire with the name', events.join(','), 'before:slide,after:slide');
+    expect('The fallback leaves no class or style behind', box.hasAttribute('class') || box.hasAttribute('style'), false);
+
+    const styled = document.getElementById('styled');
+    document.getElementById('go-styled').click();
+    await wait(250);
+    expect('The fallback keeps existing classes and styles', `${styled.className}|${styled.getAttribute('style')}`, 'card|color: red;');
+
+    page.window.close();
+
+    // View Transitions API, and cancelling through hz:beforeTransition
+    let during = null;
+    page = await createPage(body, responses, {
+        before: window => {
+            window.document.startViewTransition = update => {
+                const target = window.document.getElementById('box');
+                during = `${window.document.documentElement.className}|${target.style.getPropertyValue('view-transition-name')}`;
+                update();
+                return { finished: Promise.resolve() };
+            };
+        }
+    });
+    ({ document } = page);
+    box = document.getElementById('box');
+
+    document.getElementById('go').click();
+    await wait(20);
+    expect('A named transition marks <html> and names the target', during, 'hz-transition-slide|slide');
+    expect('The view transition swaps the content', box.textContent, 'new');
+    expect('The view transition leaves no class or style behind',
+        document.documentElement.hasAttribute('class') || box.hasAttribute('style'), false);
+
+    during = null;
+    document.addEventListener('hz:beforeTransition', event => event.preventDefault());
+    box.textContent = 'old';
+    document.getElementById('plain').click();
+    await wait(20);
+    expect('A cancelled transition swaps without one', `${during}|${box.textContent}`, 'null|new');
+
+    page.window.close();
+}
+
+async function testFlip() {
+    info('Testing animate:flip...');
+
+    let data = { items: ['a', 'b', 'c'] };
+    const animations = [];
+    const page = await createPage(`
+        <template id="items">{{#items}}<li hz-key="{{.}}">{{.}}</li>{{/items}}</template>
+        <ul id="list" hz-get="/items" hz-template="#items" hz-swap="innerHTML animate:flip" hz-trigger="custom"></ul>`, () => data, {
+        before: window => {
+            // Rows are 20px high and stacked in document order
+            window.Element.prototype.getBoundingClientRect = function() {
+                const rows = this.parentNode ? Array.from(this.parentNode.children).filter(row => row.style.position !== 'absolute') : [];
+                const top = this.style.position === 'absolute' ? parseFloat(this.style.top) || 0 : rows.indexOf(this) * 20;
+                return { top, left: 0, width: 50, height: 20 };
+            };
+            window.Element.prototype.animate = function(keyframes, options) {
+                animations.push(`${this.textContent}:${keyframes[0].transform}:${options.duration}`);
+            };
+        }
+    });
+    const { document, window } = page;
+    const list = document.getElementById('list');
+    const load = async () => {
+        list.dispatchEvent(new window.Event('custom'));
+        await wait(50);
+    };
+
+    await load();
+    animations.length = 0;
+
+    // Checked right after the swap, before the next frame
+    let swapped = null;
+    list.addEventListener('hz:afterSwap', () => {
+        const leaving = Array.from(list.children).find(row => row.textContent === 'a');
+        swapped = `${!!leaving && leaving.style.position}|${list.querySelector('[hz-key="d"]').className}`;
+    });
+
+    data = { items: ['c', 'b', 'd'] };
+    await load();
+
+    expect('Moved elements slide from their old position', animations.join(','), 'c:translate(0px, 40px):300');
+    expect('Removed elements stay out of the flow and added ones are marked', swapped, 'absolute|hz-added');
+    expect('Removed elements leave once their transition ends', list.textContent, 'cbd');
+    expect('Added elements are left without a class attribute', list.querySelector('[hz-key="d"]').hasAttribute('class'), false);
+
+    page.window.close();
+}
+
+async function testShadowDom() {
+    info('Testing shadow DOM targets...');
+
+    const page = await createPage(`
+        <template id="card"><style>.card { color: red; }</style><p class="card">{{name}}</p></template>
+        <x-widget id="widget"></x-widget>
+        <button id="outer" hz-get="/outer" hz-template="#card" hz-target="x-widget >>> #slot">Outer</button>
+        <div id="slot">light</div>
+        <div id="wrap" hz-locale="en-US"><x-number id="number"></x-number></div>`, {
+        '/outer': { name: 'Ada' },
+        '/inner': { name: 'Bob' },
+        '/number': { n: 1234.5 }
+    }, {
+        before: window => {
+            window.CSSStyleSheet = class {
+                replaceSync(text) { this.text = text; }
+            };
+        }
+    });
+    const { document, htmz } = page;
+    const root = document.getElementById('widget').attachShadow({ mode: 'open' });
+    root.adoptedStyleSheets = [];
+    root.innerHTML = '<div id="slot">shadow</div><button id="inner" hz-get="/inner" hz-template="#card" hz-target="#slot">Inner</button>';
+
+    htmz.process(root);
+    expect('htmz.process initializes a shadow root', root.getElementById('inner').hasAttribute('data-hz-init'), true);
+
+    document.getElementById('outer').click();
+    await wait(20);
+    expect('host >>> selector targets inside the shadow root', root.getElementById('slot').textContent, 'Ada');
+    expect('The light DOM element with the same id is untouched', document.getElementById('slot').textContent, 'light');
+    expect('Template styles are adopted by the shadow root',
+        root.adoptedStyleSheets.map(sheet => sheet.text).join(), '.card { color: red; }');
+
+    root.getElementById('inner').click();
+    await wait(20);
+    expect('Targets of elements in a shadow root resolve inside it', root.getElementById('slot').textContent, 'Bob');
+    expect('Template styles are adopted once per shadow root', root.adoptedStyleSheets.length, 1);
+
+    const added = document.createElement('button');
+    added.setAttribute('hz-get', '/inner');
+    root.appendChild(added);
+    await wait(20);
+    expect('Elements added to a processed shadow root are initialized', added.hasAttribute('data-hz-init'), true);
+
+    const numberRoot = document.getElementById('number').attachShadow({ mode: 'open' });
+    numberRoot.innerHTML = '<div id="inner"><span id="n" hz-get="/number" hz-trigger="load" hz-template="<b>{{ n | number }}</b>"></span></div>';
+    htmz.process(numberRoot);
+    await wait(30);
+    expect('Shadow roots use the locale of the host', numberRoot.getElementById('n').textContent, '1,234.5');
+
+    document.getElementById('wrap').setAttribute('hz-locale', 'de-DE');
+    await wait(30);
+    expect('Locale changes outside re-render shadow roots', numberRoot.getElementById('n').textContent, '1.234,5');
+
+    numberRoot.getElementById('inner').setAttribute('hz-locale', 'fr-FR');
+    await wait(30);
+    expect('Locale changes inside shadow roots re-render them', numberRoot.getElementById('n').textContent, '1\u202f234,5');
+
+    page.window.close();
+}
+
+async function testCleanup() {
+    info('Testing cleanup of removed elements...');
+
+    const observers = [];
+    const page = await createPage(`
+        <div id="box">
+            <button id="slow" hz-get="/slow" hz-target="#out">Load</button>
+            <input id="search" hz-get="/search" hz-trigger="input delay:50ms" hz-target="#out">
+            <div id="lazy" hz-get="/lazy" hz-trigger="revealed">Lazy</div>
+            <button id="batch" hz-get="/batch" hz-batch="a:/a, b:/b" hz-target="#out">Batch</button>
+            <div id="host"></div>
+        </div>
+        <div id="out"></div>
+        <div id="moved"><button id="kept" hz-get="/kept">Kept</button></div>`, {}, {
+        fetchDelay: Infinity,
+        before: window => {
+            window.IntersectionObserver = class {
+                constructor() { this.connected = true; observers.push(this); }
+                observe() {}
+                disconnect() { this.connected = false; }
+            };
+        }
+    });
+    const { document, window, requests } = page;
+    const cleaned = [];
+    const errors = [];
+    window.console.error = (...args) => errors.push(args);
+
+    ['slow', 'search', 'lazy', 'kept'].forEach(id => {
+        document.getElementById(id).addEventListener('hz:cleanup', () => cleaned.push(id));
+    });
+
+    document.getElementById('batch').addEventListener('hz:requestError', event => errors.push(event.detail.error));
+
+    const host = document.getElementById('host');
+    const shadow = host.attachShadow({ mode: 'open' });
+    shadow.innerHTML = '<button id="shadow-slow" hz-get="/shadow-slow">Load</button>';
+    page.htmz.process(shadow);
+    const shadowSlow = shadow.getElementById('shadow-slow');
+    shadowSlow.addEventListener('hz:cleanup', () => cleaned.push('shadow-slow'));
+    shadowSlow.addEventListener('hz:requestError', event => errors.push(event.detail.error));
+    shadowSlow.click();
+
+    document.getElementById('slow').click();
+    document.getElementById('batch').click();
+    const search = document.getElementById('search');
+    search.value = 'a';
+    search.dispatchEvent(new window.Event('input'));
+    await wait(5);
+
+    document.getElementById('box').remove();
+    document.getElementById('out').appendChild(document.getElementById('kept'));
+    await wait(80);
+
+    expect('hz:cleanup fires on removed elements', cleaned.join(','), 'slow,search,lazy,shadow-slow');
+    expect('Elements in removed shadow roots are cleaned up', shadowSlow.hasAttribute('data-hz-init'), false);
+    expect('Pending delayed triggers are cancelled', requests.includes('/search'), false);
+    expect('Observers of removed elements are disconnected', observers.every(observer => !observer.connected), true);
+    expect('Aborted requests are not reported as errors', errors.length, 0);
+    expect('Batch requests were in flight', requests.filter(url => url === '/a' || url === '/b').length, 2);
+    expect('Elements moved within the page are not cleaned up', document.getElementById('kept').hasAttribute('data-hz-init'), true);
+
+    // The removed shadow root is forgotten, so it no longer watches itself
+    const late = document.createElement('button');
+    late.setAttribute('hz-get', '/late');
+    shadow.appendChild(late);
+    await wait(20);
+    expect('Removed shadow roots stop being observed', late.hasAttribute('data-hz-init'), false);
+    page.htmz.process(shadow);
+    expect('Removed shadow roots can be processed again', late.hasAttribute('data-hz-init'), true);
+
+    window.close();
+
+    // The same through the default proxy configuration
+    const proxied = await createPage('<button id="slow" hz-get="/slow">Load</button>', url => (
+        url.endsWith('/htmz-secret') ? { secret: 'test', ttl: 60 } : {}
+    ), {
+        proxy: true,
+        fetchDelay: url => url.endsWith('/htmz-secret') ? 0 : Infinity,
+        before: window => {
+            Object.defineProperty(window, 'crypto', { value: require('crypto').webcrypto });
+            window.TextEncoder = TextEncoder;
+        }
+    });
+    const proxiedErrors = [];
+    proxied.window.console.error = (...args) => proxiedErrors.push(args);
+
+    const slow = proxied.document.getElementById('slow');
+    slow.click();
+    await wait(20);
+    const requested = proxied.requests.includes(proxied.htmz.proxy.getConfig().url);
+    slow.remove();
+    await wait(20);
+
+    expect('Requests through the proxy are sent', requested, true);
+    expect('Aborted proxy requests are not reported as errors', proxiedErrors.length, 0);
+
+    proxied.window.close();
+}
+
+async function testSelect() {
+    info('Testing hz-select and hz-select-oob...');
+
+    const response = '<html><body><nav id="nav" class="fresh"><a>Home*</a></nav><span id="count">42</span><main id="main"><h1>Page 2</h1></main><footer>Footer</footer></body></html>';
+    const page = await createPage(`
+        <nav id="nav"><a>Home</a></nav><b id="count">0</b>
+        <div id="content"><a id="go" hz-get="/page" hz-select="#main" hz-select-oob="#nav:outerHTML, #count" hz-target="#content">Go</a></div>
+        <button id="oob-only" hz-get="/page" hz-select-oob="#count:beforeend">Count</button>
+        <button id="broad" hz-get="/page" hz-select="span, footer" hz-select-oob="#count" hz-target="#content">Broad</button>
+        <button id="missing" hz-get="/page" hz-select="#nope" hz-target="#content">Missing</button>`, { '/page': response });
+    const { document, window } = page;
+    const warnings = [];
+    window.console.warn = (...args) => warnings.push(args.join(' '));
+
+    // Past the default 20ms settle delay
+    document.getElementById('go').click();
+    await wait(100);
+    expect('hz-select swaps only the selected part', document.getElementById('content').innerHTML, '<main id="main"><h1>Page 2</h1></main>');
+    expect('hz-select-oob swaps with the given strategy', document.getElementById('nav').outerHTML, '<nav id="nav" class="fresh"><a>Home*</a></nav>');
+    expect('hz-select-oob swaps innerHTML by default', document.getElementById('count').outerHTML, '<b id="count">42</b>');
+    expect('The rest of the response is ignored', document.querySelector('footer'), null);
+
+    document.getElementById('oob-only').click();
+    await wait(20);
+    expect('hz-select-oob works without hz-select', document.getElementById('count').textContent, '4242');
+
+    document.getElementById('broad').click();
+    await wait(100);
+    expect('Out-of-band fragments are not swapped again by hz-select', document.getElementById('content').innerHTML, '<footer>Footer</footer>');
+
+    const before = document.getElementById('content').innerHTML;
+    document.getElementById('missing').click();
+    await wait(20);
+    expect('A selector that matches nothing leaves the target alone', document.getElementById('content').innerHTML, before);
+    expect('A selector that matches nothing warns', warnings.some(warning => warning.includes("'#nope' matched nothing")), true);
+
+    page.window.close();
+}
+
+async function testRelativeTargets() {
+    info('Testing relative targets...');
+
+    const page = await createPage(`
+        <template id="hit">hit</template>
+        <section class="card"><div><button id="closest" hz-get="/hit" hz-template="#hit" hz-target="closest .card">Card</button></div></section>
+        <div id="parent-box"><button id="parent" hz-get="/hit" hz-template="#hit" hz-target="parent">Parent</button></div>
+        <p class="note" id="before">Before</p>
+        <div><button id="siblings" hz-get="/hit" hz-template="#hit" hz-target="previous .note, next .note">Notes</button></div>
+        <p class="note" id="after">After</p>
+        <div id="finder" hz-get="/hit" hz-template="#hit" hz-target="find .result" hz-trigger="custom"><span class="result"></span></div>
+        <form id="form">
+            <input name="q" value="hello">
+            <button id="send" hz-get="/search" hz-template="#hit" hz-target="find .res" hz-include="closest form, #other"
+                    hz-indicator="next .spinner" hz-disabled-elt="this, previous input, #off">Send<b class="res"></b></button>
+            <i class="spinner" hidden></i>
+        </form>
+        <input id="other" name="other" value="o"><button id="off" disabled>Off</button>`, { '/hit': {}, '/search': {} }, {
+        fetchDelay: url => url.startsWith('/search') ? 30 : 0
+    });
+    const { document, window, requests } = page;
+
+    document.getElementById('closest').click();
+    document.getElementById('parent').click();
+    document.getElementById('siblings').click();
+    document.getElementById('finder').dispatchEvent(new window.Event('custom'));
+    await wait(20);
+
+    expect('closest <selector> targets the nearest ancestor', document.querySelector('.card').textContent, 'hit');
+    expect('parent targets the parent element', document.getElementById('parent-box').textContent, 'hit');
+    expect('previous and next <selector> combine with commas',
+        `${document.getElementById('before').textContent}|${document.getElementById('after').textContent}`, 'hit|hit');
+    expect('find <selector> targets a descendant', document.querySelector('#finder .result').textContent, 'hit');
+
+    const send = document.getElementById('send');
+    const input = document.querySelector('#form input');
+    send.click();
+    await wait(10);
+
+    expect('hz-disabled-elt takes relative selectors', send.disabled && input.disabled, true);
+    expect('hz-indicator takes relative selectors', document.querySelector('.spinner').classList.contains('hz-indicator-loading'), true);
+    expect('hz-include takes relative selectors', requests[requests.length - 1], '/search?q=hello&other=o');
+
+    await wait(40);
+    expect('Disabled elements are enabled again', send.disabled || input.disabled, false);
+    expect('Elements that were disabled already stay disabled', document.getElementById('off').disabled, true);
+    expect('Relative targets resolve from the source element', send.querySelector('.res').textContent, 'hit');
+
+    page.window.close();
+}
+
+async function testSwapTiming() {
+    info('Testing swap and settle timing...');
+
+    const page = await createPage(`
+        <template id="bar-template"><p id="bar" class="wide" style="width: 90px">new</p></template>
+        <button id="go" hz-get="/bar" hz-template="#bar-template" hz-target="#box" hz-swap="innerHTML swap:60ms settle:40ms">Go</button>
+        <div id="box"><p id="bar" class="narrow" style="width: 10px">old</p></div>`, { '/bar': {} });
+    const { document } = page;
+    const box = document.getElementById('box');
+    const events = [];
+
+    document.addEventListener('hz:afterSwap', () => events.push('afterSwap'));
+    document.addEventListener('hz:afterSettle', () => events.push('afterSettle'));
+
+    document.getElementById('go').click();
+    await wait(20);
+    expect('The target has the swapping class during the swap delay', box.className, 'hz-swapping');
+    expect('The old content stays during the swap delay', box.textContent, 'old');
+
+    await wait(60);
+    const bar = document.getElementById('bar');
+    expect('The target has the settling class after the swap', box.className, 'hz-settling');
+    expect('The new content is swapped in after the swap delay', bar.textContent, 'new');
+    expect('Swapped-in elements keep the old settle attributes while settling',
+        `${bar.className}|${bar.getAttribute('style')}`, 'narrow hz-settling|width: 10px');
+    expect('hz:afterSettle waits for the settle delay', events.join(','), 'afterSwap');
+
+    await wait(60);
+    expect('Swapped-in elements get their own attributes once settled',
+        `${bar.className}|${bar.getAttribute('style')}`, 'wide|width: 90px');
+    expect('hz:afterSettle fires once settled', events.join(','), 'afterSwap,afterSettle');
+    expect('Targets without a class are left without a class attribute', box.hasAttribute('class'), false);
+
+    page.window.close();
+}
+
+async function runTests() {
+    console.log(`${BLUE}🧪 htmz DOM Test Suite${RESET}\n`);
+
+    if (!fs.existsSync(BUNDLE_PATH)) {
+        console.error(`${RED}dist/htmz.js not found - run "make build" first${RESET}`);
+        process.exit(1);
+    }
+
+    try {
+        ({ JSDOM } = require('jsdom'));
+    } catch (error) {
+        console.error(`${RED}jsdom not found - run "npm install" first${RESET}`);
+        process.exit(1);
+    }
+
+    info('Loading dist/htmz.js...');
+    bundle = fs.readFileSync(BUNDLE_PATH, 'utf8');
+
+    await testKeyedMorphing();
+    await testMorphFocus();
+    await testPreserve();
+    await testSanitizing();
+    await testScripts();
+    await testSelect();
+    await testRelativeTargets();
+    await testSwapTiming();
+    await testTransitions();
+    await testFlip();
+    await testShadowDom();
+    await testCleanup();
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`${GREEN}Tests Passed: ${testsPassed}${RESET}`);
+    console.log(`${RED}Tests Failed: ${testsFailed}${RESET}`);
+    console.log(`${BLUE}Total Tests: ${testsPassed + testsFailed}${RESET}`);
+
+    if (testsFailed === 0) {
+        console.log(`\n${GREEN}🎉 All DOM tests passed!${RESET}`);
+        process.exit(0);
+    } else {
+        console.log(`\n${RED}❌ Some tests failed. Please check the implementation.${RESET}`);
+        process.exit(1);
+    }
+}
+
+runTests();
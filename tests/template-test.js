@@ -0,0 +1,360 @@
+#!/usr/bin/env node
+/*
+ * template-test.js - Test suite for the htmz template engine
+ * Copyright (C) 2025 William Theesfeld <william@theesfeld.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ */
+
+"use strict";
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MODULE_PATH = path.join(__dirname, '..', 'dist', 'htmz-template.js');
+
+// Colors for output
+const GREEN = '\x1b[32m';
+const RED = '\x1b[31m';
+const BLUE = '\x1b[34m';
+const RESET = '\x1b[0m';
+
+let testsPassed = 0;
+let testsFailed = 0;
+let templates;
+
+function log(message) {
+    console.log(`[${new Date().toISOString()}] ${message}`);
+}
+
+function pass(test) {
+    testsPassed++;
+    log(`${GREEN}✓ ${test}${RESET}`);
+}
+
+function fail(test, error) {
+    testsFailed++;
+    log(`${RED}✗ ${test}${RESET}`);
+    if (error) {
+        log(`  Error: ${error.message || error}`);
+    }
+}
+
+function info(message) {
+    log(`${BLUE}ℹ ${message}${RESET}`);
+}
+
+function expectRender(test, template, data, expected) {
+    try {
+        const html = templates.render(template, data);
+        if (html === expected) {
+            pass(test);
+        } else {
+            fail(test, new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(html)}`));
+        }
+    } catch (error) {
+        fail(test, error);
+    }
+}
+
+function expectError(test, fn, check) {
+    try {
+        fn();
+        fail(test, new Error('Expected an error to be thrown'));
+    } catch (error) {
+        if (check(error)) {
+            pass(test);
+        } else {
+            fail(test, error);
+        }
+    }
+}
+
+// Test interpolation, escaping and filters
+function testInterpolation() {
+    expectRender('Escapes interpolated values', '<p>{{name}}</p>', { name: '<b>&' }, '<p>&lt;b&gt;&amp;</p>');
+    expectRender('Resolves nested paths', '{{user.profile.name}}', { user: { profile: { name: 'Ada' } } }, 'Ada');
+    expectRender('Applies chained filters', '{{name | trim | upper}}', { name: '  ada ' }, 'ADA');
+    expectRender('Passes filter arguments', '{{text | truncate:5}}', { text: 'Hello world' }, 'Hello...');
+    expectRender('Falls back with default filter', '{{missing | default:"n/a"}}', {}, 'n/a');
+    expectRender('Formats currency', '{{price | currency:"USD"}}', { price: 5 }, '$5.00');
+
+    templates.registerFilter('reverse', value => String(value).split('').reverse().join(''));
+    expectRender('Runs custom filters', '{{word | reverse}}', { word: 'abc' }, 'cba');
+    expectError('Rejects invalid filter names', () => templates.registerFilter('no way', value => value),
+        error => /Invalid filter name/.test(error.message));
+}
+
+// Test sections, conditionals and expressions
+function testBlocks() {
+    const data = { items: [{ name: 'a' }, { name: 'b' }, { name: 'c' }] };
+
+    expectRender('Iterates arrays', '{{#items}}{{name}}{{/items}}', data, 'abc');
+    expectRender('Exposes loop variables',
+        '{{#items}}{{@index}}{{?@first}}^{{/?}}{{?@last}}${{/?}}{{/items}}', data, '0^12$');
+    expectRender('Nests sections and conditionals', '{{#groups}}{{name}}:{{#items}}{{?on}}{{id}}{{/?}}{{/items}};{{/groups}}',
+        { groups: [{ name: 'g', items: [{ id: 1, on: true }, { id: 2, on: false }] }, { name: 'h', items: [] }] }, 'g:1;h:;');
+    expectRender('Renders empty branch', '{{#items}}x{{:empty}}none{{/items}}', { items: [] }, 'none');
+    expectRender('Reaches parent scope', '{{#items}}{{name}}{{../sep}}{{/items}}', { sep: ',', ...data }, 'a,b,c,');
+    expectRender('Iterates object entries', '{{#each prices sorted}}{{key}}={{value}};{{/each}}',
+        { prices: { b: 2, a: 1 } }, 'a=1;b=2;');
+    expectRender('Ignores content after a second else', '{{?a}}x{{:else}}y{{:else}}z{{/?}}', { a: false }, 'y');
+    expectRender('Ignores else-if after else', '{{?a}}x{{:else}}y{{:else? b}}z{{/?}}', { a: false, b: true }, 'y');
+    expectRender('Selects else-if branch', '{{?n > 10}}big{{:else? n > 1}}mid{{:else}}small{{/?}}', { n: 5 }, 'mid');
+    expectRender('Evaluates logical operators', '{{?(a || b) && !c}}yes{{/?}}', { a: 0, b: 1, c: false }, 'yes');
+    expectRender('Evaluates in operator', '{{?role in roles}}ok{{/?}}', { role: 'admin', roles: ['admin'] }, 'ok');
+    expectRender('Decodes escaped operators from <template> markup',
+        '{{?a &gt; 1 &amp;&amp; b}}yes{{/?}}', { a: 2, b: true }, 'yes');
+}
+
+// Test raw HTML sanitizing
+function testRawHtml() {
+    expectRender('Keeps allowed markup in raw output', '{{{body}}}', { body: '<em>hi</em>' }, '<em>hi</em>');
+    expectRender('Strips scripts and handlers from raw output', '{{{body}}}',
+        { body: '<p onclick="x()">a<script>alert(1)</script></p>' }, '<p>a</p>');
+    expectRender('Drops javascript: URLs', '{{body | html}}',
+        { body: '<a href="javascript:alert(1)">x</a>' }, '<a>x</a>');
+}
+
+// Test message catalogs, plurals and locale-aware formatting
+function testI18n() {
+    templates.i18n.load('en', {
+        orders: {
+            count: '{count, plural, =0 {No orders} one {# order} other {# orders}}',
+            owner: '{role, select, admin {Admin} other {Member}}: {name}'
+        }
+    });
+    templates.i18n.load('de', { orders: { count: '{count, plural, =0 {Keine Bestellungen} one {# Bestellung} other {# Bestellungen}}' } });
+
+    const render = (template, data, locale) => templates.render(template, data, { locale });
+    const check = (test, actual, expected) => actual === expected
+        ? pass(test)
+        : fail(test, new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`));
+
+    try {
+        check('Translates with plural rules', render('{{t "orders.count" count=items.length}}', { items: [1] }, 'en'), '1 order');
+        check('Matches exact plural values', render('{{t "orders.count" count=n}}', { n: 0 }, 'de'), 'Keine Bestellungen');
+        check('Formats # with the locale', render('{{t "orders.count" count=n}}', { n: 1234 }, 'de'), '1.234 Bestellungen');
+        check('Falls back from region to language', render('{{t "orders.count" count=n}}', { n: 2 }, 'de-AT'), '2 Bestellungen');
+        check('Falls back to the fallback locale', render('{{t "orders.owner" role=r name=n}}', { r: 'admin', n: 'Ada' }, 'fr'), 'Admin: Ada');
+        check('Escapes translated output', render('{{t "orders.owner" role=r name=n}}', { r: 'x', n: '<b>' }, 'en'), 'Member: &lt;b&gt;');
+        check('Formats numbers for the locale', render('{{total | number:2}}', { total: 1234.5 }, 'de'), '1.234,50');
+    } catch (error) {
+        fail('Translation rendering', error);
+    }
+
+    templates.configure({ strictTemplates: true });
+    expectError('Strict mode rejects missing translations', () => templates.render('{{t "nope"}}', {}),
+        error => error.name === 'TemplateError' && /Missing translation 'nope'/.test(error.message));
+    templates.configure({ strictTemplates: false });
+}
+
+// Test context-aware escaping
+function testContextEscaping() {
+    expectRender('Blocks javascript: URLs in href', '<a href="{{url}}">x</a>', { url: 'javascript:alert(1)' },
+        '<a href="about:invalid#htmz-blocked">x</a>');
+    expectRender('Keeps safe URLs', '<a href="{{url}}">x</a>', { url: 'https://example.com/?a=1&b=2' },
+        '<a href="https://example.com/?a=1&amp;b=2">x</a>');
+    expectRender('Skips the scheme check after a fixed prefix', '<a href="/users/{{id}}">x</a>', { id: 'a:b' },
+        '<a href="/users/a:b">x</a>');
+    expectRender('Encodes unquoted attribute values', '<p class={{c}}>', { c: 'a onclick=x' },
+        '<p class=a&#32;onclick&#61;x>');
+    expectRender('Blocks unsafe CSS values', '<p style="color: {{c}}">', { c: 'red; background: url(x)' },
+        '<p style="color: htmz-blocked">');
+    expectRender('Writes JSON literals in event handlers', '<b onclick="pick({{id}})">', { id: '1); alert(1' },
+        '<b onclick="pick(&quot;1); alert(1&quot;)">');
+    expectRender('Escapes </script> in script values', '<script>var d = {{d}};</script>', { d: '</script>' },
+        '<script>var d = "\\u003c/script\\u003e";</script>');
+    expectRender('Checks the scheme against static text after the value', '<a href="{{proto}}://{{host}}">', { proto: 'javascript', host: '%0aalert(1)/' },
+        '<a href="about:invalid#htmz-blocked://%0aalert(1)/">');
+    expectRender('Blocks values that could complete an earlier scheme', '<a href="{{a}}{{b}}">', { a: 'javascript', b: ':alert(1)' },
+        '<a href="javascriptabout:invalid#htmz-blocked">');
+    expectRender('Allows values after an interpolated scheme', '<a href="{{base}}{{path}}">', { base: 'https://example.com/', path: 'a:b' },
+        '<a href="https://example.com/a:b">');
+    expectRender('Refuses interpolation in srcdoc', '<iframe srcdoc="{{doc}}"></iframe>', { doc: '<script>alert(1)</script>' },
+        '<iframe srcdoc=""></iframe>');
+    expectRender('Escapes values inside JS strings as string content', `<b onclick="pick('{{name}}')">`, { name: "Paris" },
+        `<b onclick="pick('Paris')">`);
+    expectRender('Keeps values from ending a JS string', `<b onclick="pick('{{name}}')">`, { name: "');alert(1);('" },
+        `<b onclick="pick('\\u0027);alert(1);(\\u0027')">`);
+    expectRender('Blocks unsafe attribute names', '<input {{name}}>', { name: 'onfocus' }, '<input data-htmz-blocked>');
+    expectRender('Escapes raw HTML inside attributes', '<a title="{{{x}}}">', { x: '"><b>' }, '<a title="&quot;&gt;&lt;b&gt;">');
+
+    templates.render('<a href="{{a}}">{{b}}</a><img src="{{c}}">', { a: 'vbscript:x', b: 'ok', c: 'data:x' });
+    const report = templates.escapeReport();
+    if (report.length === 2 && report[0].attribute === 'href' && report[0].line === 1 && report[1].attribute === 'src') {
+        pass('Reports neutralized values');
+    } else {
+        fail('Reports neutralized values', new Error(JSON.stringify(report)));
+    }
+}
+
+// Test registered templates and partials
+function testPartials() {
+    const ids = templates.loadTemplates(
+        '<template id="item"><li>{{name}}</li></template>' +
+        '<template id="list"><ul>{{#items}}{{> #item}}{{/items}}</ul></template>' +
+        '<template id="tree">{{name}}{{#children}}({{> #tree}}){{/children}}</template>'
+    );
+
+    if (ids.join(',') === '#item,#list,#tree') {
+        pass('Loads <template> elements from HTML');
+    } else {
+        fail('Loads <template> elements from HTML', new Error(`Got ids ${ids.join(',')}`));
+    }
+
+    try {
+        const html = templates.renderTemplate('list', { items: [{ name: 'a' }, { name: 'b' }] });
+        html === '<ul><li>a</li><li>b</li></ul>' ? pass('Renders partials') : fail('Renders partials', new Error(html));
+    } catch (error) {
+        fail('Renders partials', error);
+    }
+
+    try {
+        const html = templates.renderTemplate('#tree', { name: 'a', children: [{ name: 'b', children: [{ name: 'c' }] }] });
+        html === 'a(b(c))' ? pass('Renders recursive partials') : fail('Renders recursive partials', new Error(html));
+    } catch (error) {
+        fail('Renders recursive partials', error);
+    }
+
+    templates.loadTemplates('<template id="loop">x{{> #loop}}</template>');
+    expectRender('Stops partials that recurse with the same data', '{{> #loop}}', {}, 'x');
+}
+
+// Test strict mode errors
+function testStrictMode() {
+    templates.configure({ strictTemplates: true });
+
+    expectError('Strict mode rejects missing values', () => templates.render('<p>\n  {{nope}}</p>', {}),
+        error => error.name === 'TemplateError' && error.line === 2 && error.column === 3);
+    expectError('Strict mode rejects unclosed sections', () => templates.render('{{#items}}x', { items: [] }),
+        error => error.name === 'TemplateError' && /items/.test(error.message));
+    expectError('Strict mode rejects unknown filters', () => templates.render('{{a | nope}}', { a: 1 }),
+        error => error.name === 'TemplateError');
+    expectRender('Strict mode allows missing values in conditions', '{{?nope}}x{{:else}}y{{/?}}', {}, 'y');
+    expectRender('Strict mode lets default fill in missing values', '{{missing | default:"n/a"}}', {}, 'n/a');
+    expectRender('Strict mode lets default fill in after other filters', '{{missing | trim | default:"n/a"}}', {}, 'n/a');
+    expectError('Strict mode rejects missing values other filters leave empty', () => templates.render('{{missing | upper}}', {}),
+        error => error.name === 'TemplateError' && /missing/.test(error.message));
+    expectError('Strict mode rejects a second {{:else}}', () => templates.render('{{?a}}x{{:else}}y{{:else}}z{{/?}}', {}),
+        error => error.name === 'TemplateError' && /Duplicate \{\{:else\}\}/.test(error.message));
+    expectError('Strict mode rejects {{:else?}} after {{:else}}', () => templates.render('{{?a}}x{{:else}}y{{:else? b}}z{{/?}}', {}),
+        error => error.name === 'TemplateError' && /after \{\{:else\}\}/.test(error.message));
+
+    templates.configure({ strictTemplates: false });
+}
+
+// Test rendering template files
+function testRenderFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'htmz-template-'));
+
+    try {
+        const page = path.join(dir, 'page.html');
+        fs.writeFileSync(page, '<h1>{{title}}</h1>');
+        const html = templates.renderFile(page, { title: 'Home' });
+        html === '<h1>Home</h1>' ? pass('Renders plain template files') : fail('Renders plain template files', new Error(html));
+
+        const multi = path.join(dir, 'multi.html');
+        fs.writeFileSync(multi, '<template id="a">A{{x}}</template><template id="b">B{{x}}</template>');
+        const picked = templates.renderFile(multi, { x: 1 }, { template: 'b' });
+        picked === 'B1' ? pass('Renders a chosen <template> from a file') : fail('Renders a chosen <template> from a file', new Error(picked));
+    } catch (error) {
+        fail('Template file rendering', error);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+// Test precompiled templates and allowEval
+function testPrecompile() {
+    const sources = [
+        { id: 'row', source: '<tr>{{?active}}<td>{{name | upper}}</td>{{:else}}<td>-</td>{{/?}}</tr>' },
+        { id: '#rows', source: '{{#rows}}{{> #row}}{{:empty}}none{{/rows}}' }
+    ];
+
+    expectError('Precompiling rejects template errors', () => templates.precompile([{ id: 'bad', source: '{{#a}}x' }]),
+        error => error.name === 'TemplateError' && /Unclosed/.test(error.message));
+    expectError('Precompiling rejects partials that were not compiled', () => templates.precompile([sources[1]]),
+        error => /#row is not among the compiled templates/.test(error.message));
+
+    try {
+        const code = templates.precompile(sources);
+        if (/eval|new Function/.test(code.replace(/allowEval/g, ''))) {
+            fail('Precompiled output contains no eval');
+        } else {
+            pass('Precompiled output contains no eval');
+        }
+
+        // The generated script registers through window.htmz in the browser
+        const file = path.join(os.tmpdir(), `htmz-templates-${process.pid}.js`);
+        fs.writeFileSync(file, code);
+        global.window = { htmz: templates };
+        require(file);
+        delete global.window;
+        fs.unlinkSync(file);
+
+        const html = templates.renderTemplate('rows', { rows: [{ name: 'a', active: true }, { name: 'b', active: false }] });
+        html === '<tr><td>A</td></tr><tr><td>-</td></tr>' ? pass('Renders precompiled templates') : fail('Renders precompiled templates', new Error(html));
+
+        expectError('allowEval false refuses string templates', () => templates.render('{{a}}', { a: 1 }),
+            error => error.name === 'TemplateError' && /not precompiled/.test(error.message));
+
+        templates.clearCache();
+        templates.renderTemplate('rows', { rows: [] }) === 'none'
+            ? pass('Precompiled templates survive clearCache')
+            : fail('Precompiled templates survive clearCache');
+    } catch (error) {
+        fail('Precompiled template rendering', error);
+    } finally {
+        delete global.window;
+        templates.configure({ allowEval: true });
+    }
+}
+
+function runTests() {
+    console.log(`${BLUE}🧪 htmz Template Engine Test Suite${RESET}`);
+    console.log(`${BLUE}=====================================${RESET}\n`);
+
+    if (!fs.existsSync(MODULE_PATH)) {
+        console.error(`${RED}dist/htmz-template.js not found - run "make build" first${RESET}`);
+        process.exit(1);
+    }
+
+    info('Loading dist/htmz-template.js...');
+    templates = require(MODULE_PATH);
+
+    // Non-strict rendering warns instead of throwing; keep the output readable
+    const originalWarn = console.warn;
+    console.warn = () => {};
+
+    testInterpolation();
+    testBlocks();
+    testRawHtml();
+    testI18n();
+    testContextEscaping();
+    testPartials();
+    testStrictMode();
+    testRenderFile();
+    testPrecompile();
+
+    console.warn = originalWarn;
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`${GREEN}Tests Passed: ${testsPassed}${RESET}`);
+    console.log(`${RED}Tests Failed: ${testsFailed}${RESET}`);
+    console.log(`${BLUE}Total Tests: ${testsPassed + testsFailed}${RESET}`);
+
+    if (testsFailed === 0) {
+        console.log(`\n${GREEN}🎉 All template engine tests passed!${RESET}`);
+        process.exit(0);
+    } else {
+        console.log(`\n${RED}❌ Some tests failed. Please check the implementation.${RESET}`);
+        process.exit(1);
+    }
+}
+
+runTests();